@@ -0,0 +1,493 @@
+#!/usr/bin/env python3
+# Tray helper for Linux.
+#
+# Shows a StatusNotifierItem (the D-Bus tray protocol used by KDE, GNOME with
+# the AppIndicator extension, Xfce, Cinnamon, ...) and talks to the plugin over
+# the same newline-framed command protocol as tray_helper.ahk (see README
+# "Command Protocol"). Needs python3 with PyGObject (python3-gi).
+#
+# Global hotkeys are not supported here: Wayland gives no way to grab them, so
+# the --hotkey= arguments are accepted and ignored.
+
+import json
+import os
+import socket
+import sys
+import time
+
+from gi.repository import Gio, GLib
+
+TCP_HOST = "127.0.0.1"
+TCP_PORT = 23120  # default port
+PROTOCOL_VERSION = 1
+HELPER_VERSION = "1.1.6"
+HELPER_BUILD = "release"  # shipped as-is, there is no separate build step
+HELPER_FEATURES = "menu,notify,heartbeat"
+HELPER_HOTKEYS = 0  # see above
+RECONNECT_DELAY = 2000  # ms
+HEARTBEAT_INTERVAL = 5000  # ms between our PINGs to the plugin
+PLUGIN_TIMEOUT = 20  # s without any line from the plugin (e.g. Zotero crashed) before we exit
+ICON_NAME = "zotero-tray"  # zotero-tray.png, extracted next to this script
+
+SNI_INTERFACE = """
+<node>
+  <interface name="org.kde.StatusNotifierItem">
+    <property name="Category" type="s" access="read"/>
+    <property name="Id" type="s" access="read"/>
+    <property name="Title" type="s" access="read"/>
+    <property name="Status" type="s" access="read"/>
+    <property name="IconName" type="s" access="read"/>
+    <property name="IconThemePath" type="s" access="read"/>
+    <property name="ToolTip" type="(sa(iiay)ss)" access="read"/>
+    <property name="ItemIsMenu" type="b" access="read"/>
+    <property name="Menu" type="o" access="read"/>
+    <method name="Activate"><arg name="x" type="i" direction="in"/><arg name="y" type="i" direction="in"/></method>
+    <method name="SecondaryActivate"><arg name="x" type="i" direction="in"/><arg name="y" type="i" direction="in"/></method>
+    <method name="ContextMenu"><arg name="x" type="i" direction="in"/><arg name="y" type="i" direction="in"/></method>
+    <method name="Scroll"><arg name="delta" type="i" direction="in"/><arg name="orientation" type="s" direction="in"/></method>
+    <signal name="NewIcon"/>
+    <signal name="NewToolTip"/>
+    <signal name="NewStatus"><arg name="status" type="s"/></signal>
+  </interface>
+</node>
+"""
+
+MENU_INTERFACE = """
+<node>
+  <interface name="com.canonical.dbusmenu">
+    <property name="Version" type="u" access="read"/>
+    <property name="Status" type="s" access="read"/>
+    <method name="GetLayout">
+      <arg name="parentId" type="i" direction="in"/>
+      <arg name="recursionDepth" type="i" direction="in"/>
+      <arg name="propertyNames" type="as" direction="in"/>
+      <arg name="revision" type="u" direction="out"/>
+      <arg name="layout" type="(ia{sv}av)" direction="out"/>
+    </method>
+    <method name="GetGroupProperties">
+      <arg name="ids" type="ai" direction="in"/>
+      <arg name="propertyNames" type="as" direction="in"/>
+      <arg name="properties" type="a(ia{sv})" direction="out"/>
+    </method>
+    <method name="GetProperty">
+      <arg name="id" type="i" direction="in"/>
+      <arg name="name" type="s" direction="in"/>
+      <arg name="value" type="v" direction="out"/>
+    </method>
+    <method name="Event">
+      <arg name="id" type="i" direction="in"/>
+      <arg name="eventId" type="s" direction="in"/>
+      <arg name="data" type="v" direction="in"/>
+      <arg name="timestamp" type="u" direction="in"/>
+    </method>
+    <method name="AboutToShow">
+      <arg name="id" type="i" direction="in"/>
+      <arg name="needUpdate" type="b" direction="out"/>
+    </method>
+    <signal name="LayoutUpdated">
+      <arg name="revision" type="u"/>
+      <arg name="parent" type="i"/>
+    </signal>
+  </interface>
+</node>
+"""
+
+
+class PluginConnection:
+    """Persistent session with the plugin. Every line we receive gets exactly
+    one OK/ERR reply; replies to our own commands are not answered."""
+
+    def __init__(self, tray, port, socket_path, token):
+        self.tray = tray
+        self.port = port
+        self.socket_path = socket_path
+        self.token = token
+        self.sock = None
+        self.watch_id = None
+        self.buffer = b""
+        self.reconnect_id = None
+        self.last_contact = time.monotonic()
+        GLib.timeout_add(HEARTBEAT_INTERVAL, self.on_heartbeat)
+
+    def on_heartbeat(self):
+        if time.monotonic() - self.last_contact > PLUGIN_TIMEOUT:
+            self.tray.quit()
+            return GLib.SOURCE_REMOVE
+        if self.sock:
+            self.send_line("PING")
+        return GLib.SOURCE_CONTINUE
+
+    def connect(self):
+        if self.sock:
+            return True
+        try:
+            if self.socket_path:
+                sock = socket.socket(socket.AF_UNIX, socket.SOCK_STREAM)
+                sock.connect(self.socket_path)
+            else:
+                sock = socket.create_connection((TCP_HOST, self.port), timeout=5)
+            sock.setblocking(False)
+        except OSError:
+            return False
+
+        self.sock = sock
+        self.buffer = b""
+        self.watch_id = GLib.io_add_watch(
+            sock.fileno(), GLib.PRIORITY_DEFAULT,
+            GLib.IO_IN | GLib.IO_HUP | GLib.IO_ERR, self.on_readable)
+
+        # The token must be the first line, or the plugin drops the connection
+        self.send_line("AUTH " + self.token)
+        self.send_line("HELLO %d helper version=%s build=%s features=%s hotkeys=%d" % (
+            PROTOCOL_VERSION, HELPER_VERSION, HELPER_BUILD, HELPER_FEATURES, HELPER_HOTKEYS))
+        if self.tray.registered:
+            self.send_line("READY tray")
+        return True
+
+    def disconnect(self):
+        if self.watch_id is not None:
+            GLib.source_remove(self.watch_id)
+            self.watch_id = None
+        if self.sock:
+            self.sock.close()
+            self.sock = None
+
+        # The plugin may just be restarting its listener, try again shortly
+        if self.reconnect_id is None:
+            self.reconnect_id = GLib.timeout_add(RECONNECT_DELAY, self.on_reconnect)
+
+    def on_reconnect(self):
+        if self.connect():
+            self.reconnect_id = None
+            return GLib.SOURCE_REMOVE
+        return GLib.SOURCE_CONTINUE
+
+    def send_line(self, line):
+        if not self.sock and not self.connect():
+            return False
+        try:
+            self.sock.sendall((line.replace("\n", " ") + "\n").encode("utf-8"))
+        except OSError:
+            self.disconnect()
+            return False
+        return True
+
+    def log(self, level, message):
+        """Sends one of our messages into the plugin's log (LOG <level> <message>).
+        Also printed, since there is no plugin to log to while disconnected."""
+        print(message, file=sys.stderr)
+        if self.sock:
+            self.send_line("LOG %s %s" % (level, message))
+
+    def on_readable(self, fd, condition):
+        try:
+            data = self.sock.recv(4096)
+        except BlockingIOError:
+            return GLib.SOURCE_CONTINUE
+        except OSError:
+            data = b""
+        if not data:
+            # Returning SOURCE_REMOVE drops the watch, so don't remove it twice
+            self.watch_id = None
+            self.disconnect()
+            return GLib.SOURCE_REMOVE
+
+        self.last_contact = time.monotonic()
+        self.buffer += data
+        while b"\n" in self.buffer:
+            raw, self.buffer = self.buffer.split(b"\n", 1)
+            line = raw.decode("utf-8", "replace").rstrip("\r")
+            if line:
+                self.handle_line(line)
+        return GLib.SOURCE_CONTINUE
+
+    def handle_line(self, line):
+        command, _, argument = line.partition(" ")
+
+        # Replies to our own commands
+        if command == "OK":
+            return
+        if command == "ERR":
+            # Nothing will work with a rejected token, protocol or helper version
+            if argument.split(" ")[0] in ("unauthorized", "unsupported-version", "incompatible-helper"):
+                self.tray.quit()
+            return
+
+        # The plugin is shutting down and asks us to exit
+        if command == "QUIT":
+            self.send_line("OK BYE")
+            self.tray.quit()
+            return
+
+        if command == "PING":
+            self.send_line("OK PONG " + argument if argument else "OK PONG")
+            return
+
+        # Commands pushed by the plugin
+        handlers = {
+            "STATE": self.tray.apply_state,
+            "MENU": self.tray.menu.set_items,
+            "NOTIFY": self.tray.show_notification,
+        }
+        handler = handlers.get(command)
+        if not handler:
+            self.log("debug", "Unknown command from the plugin: %s" % command)
+            self.send_line("ERR unknown-command")
+            return
+        try:
+            handler(json.loads(argument))
+        except ValueError as e:
+            self.log("warn", "Invalid %s from the plugin: %s" % (command, e))
+            self.send_line("ERR invalid-argument")
+            return
+        self.send_line("OK")
+
+
+class TrayMenu:
+    """com.canonical.dbusmenu built from the plugin's MENU definition.
+    Items: {id, label, default, checked, disabled}, separators:
+    {separator: true}, submenus: {label, items: [...]}."""
+
+    def __init__(self, tray):
+        self.tray = tray
+        self.revision = 1
+        self.items = []
+        self.nodes = {}  # dbusmenu id -> (properties, child ids, action)
+
+    def set_items(self, items):
+        self.items = items if isinstance(items, list) else []
+        self.revision += 1
+        self.rebuild()
+        self.tray.emit_signal("/MenuBar", "com.canonical.dbusmenu", "LayoutUpdated",
+                              GLib.Variant("(ui)", (self.revision, 0)))
+
+    def rebuild(self):
+        self.nodes = {0: ({"children-display": GLib.Variant("s", "submenu")}, [], None)}
+        self.add_items(0, self.items)
+
+    def add_items(self, parent_id, items):
+        for item in items:
+            node_id = len(self.nodes)
+            properties = {}
+            action = None
+            if item.get("separator"):
+                properties["type"] = GLib.Variant("s", "separator")
+            else:
+                # "_" marks the access key in dbusmenu labels
+                properties["label"] = GLib.Variant("s", str(item.get("label", "")).replace("_", "__"))
+                properties["enabled"] = GLib.Variant("b", not item.get("disabled"))
+                if item.get("checked"):
+                    properties["toggle-type"] = GLib.Variant("s", "checkmark")
+                    properties["toggle-state"] = GLib.Variant("i", 1)
+                if isinstance(item.get("items"), list):
+                    properties["children-display"] = GLib.Variant("s", "submenu")
+                action = item.get("id")
+            self.nodes[node_id] = (properties, [], action)
+            self.nodes[parent_id][1].append(node_id)
+            if isinstance(item.get("items"), list):
+                self.add_items(node_id, item["items"])
+
+    def default_action(self):
+        for item in self.items:
+            if item.get("default") and item.get("id"):
+                return item["id"]
+        return None
+
+    def layout(self, node_id, depth):
+        properties, children, _ = self.nodes[node_id]
+        child_layouts = []
+        if depth != 0:
+            for child_id in children:
+                child_layouts.append(GLib.Variant("(ia{sv}av)", self.layout(child_id, depth - 1)))
+        return (node_id, properties, child_layouts)
+
+    def on_method_call(self, connection, sender, path, interface, method, params, invocation):
+        if method == "GetLayout":
+            parent_id, depth, _ = params.unpack()
+            if parent_id not in self.nodes:
+                invocation.return_dbus_error("com.canonical.dbusmenu.Error", "Unknown menu item")
+                return
+            invocation.return_value(GLib.Variant("(u(ia{sv}av))", (self.revision, self.layout(parent_id, depth))))
+        elif method == "GetGroupProperties":
+            ids, _ = params.unpack()
+            result = [(i, self.nodes[i][0]) for i in ids if i in self.nodes]
+            invocation.return_value(GLib.Variant("(a(ia{sv}))", (result,)))
+        elif method == "GetProperty":
+            node_id, name = params.unpack()
+            value = self.nodes.get(node_id, ({}, [], None))[0].get(name)
+            if value is None:
+                invocation.return_dbus_error("com.canonical.dbusmenu.Error", "Unknown property")
+                return
+            invocation.return_value(GLib.Variant("(v)", (value,)))
+        elif method == "Event":
+            node_id, event_id, _, _ = params.unpack()
+            action = self.nodes.get(node_id, ({}, [], None))[2]
+            if event_id == "clicked" and action:
+                self.tray.plugin.send_line("ACTION " + action)
+            invocation.return_value(None)
+        elif method == "AboutToShow":
+            invocation.return_value(GLib.Variant("(b)", (False,)))
+
+    def on_get_property(self, connection, sender, path, interface, name):
+        if name == "Version":
+            return GLib.Variant("u", 3)
+        if name == "Status":
+            return GLib.Variant("s", "normal")
+        return None
+
+
+class TrayIcon:
+    def __init__(self, args):
+        self.loop = GLib.MainLoop()
+        self.bus = None
+        self.bus_name = "org.kde.StatusNotifierItem-%d-1" % os.getpid()
+        self.registered = False
+        self.icon_name = ICON_NAME
+        self.icon_theme_path = os.path.dirname(os.path.abspath(__file__))
+        self.tooltip = "Zotero"
+        self.notifications = {}  # notification id -> action
+        self.menu = TrayMenu(self)
+        self.plugin = PluginConnection(self, args["port"], args["socket"], args["token"])
+
+    def run(self):
+        self.bus = Gio.bus_get_sync(Gio.BusType.SESSION, None)
+
+        sni_info = Gio.DBusNodeInfo.new_for_xml(SNI_INTERFACE).interfaces[0]
+        self.bus.register_object("/StatusNotifierItem", sni_info,
+                                 self.on_method_call, self.on_get_property, None)
+        menu_info = Gio.DBusNodeInfo.new_for_xml(MENU_INTERFACE).interfaces[0]
+        self.menu.rebuild()
+        self.bus.register_object("/MenuBar", menu_info,
+                                 self.menu.on_method_call, self.menu.on_get_property, None)
+
+        self.bus.signal_subscribe("org.freedesktop.Notifications", "org.freedesktop.Notifications",
+                                  None, "/org/freedesktop/Notifications", None,
+                                  Gio.DBusSignalFlags.NONE, self.on_notification_signal)
+
+        Gio.bus_own_name_on_connection(self.bus, self.bus_name, Gio.BusNameOwnerFlags.NONE, None, None)
+
+        # The tray (StatusNotifierWatcher) may start after us, or be restarted.
+        # The plugin only auto-hides Zotero after READY, so the window can't
+        # disappear without a way to bring it back.
+        Gio.bus_watch_name_on_connection(self.bus, "org.kde.StatusNotifierWatcher",
+                                         Gio.BusNameWatcherFlags.NONE,
+                                         self.on_watcher_appeared, self.on_watcher_vanished)
+
+        self.plugin.connect()
+        self.loop.run()
+
+    def quit(self):
+        self.loop.quit()
+
+    def on_watcher_appeared(self, connection, name, owner):
+        try:
+            self.bus.call_sync("org.kde.StatusNotifierWatcher", "/StatusNotifierWatcher",
+                               "org.kde.StatusNotifierWatcher", "RegisterStatusNotifierItem",
+                               GLib.Variant("(s)", (self.bus_name,)), None,
+                               Gio.DBusCallFlags.NONE, -1, None)
+        except GLib.Error as e:
+            self.plugin.log("error", "Could not register tray icon: %s" % e.message)
+            return
+        self.registered = True
+        self.plugin.send_line("READY tray")
+
+    def on_watcher_vanished(self, connection, name):
+        self.registered = False
+
+    def emit_signal(self, path, interface, name, params=None):
+        try:
+            self.bus.emit_signal(None, path, interface, name, params)
+        except GLib.Error:
+            pass
+
+    def on_method_call(self, connection, sender, path, interface, method, params, invocation):
+        if method == "Activate":
+            self.plugin.send_line("TOGGLE")
+        elif method == "SecondaryActivate":
+            action = self.menu.default_action()
+            self.plugin.send_line("ACTION " + action if action else "TOGGLE")
+        invocation.return_value(None)
+
+    def on_get_property(self, connection, sender, path, interface, name):
+        values = {
+            "Category": GLib.Variant("s", "ApplicationStatus"),
+            "Id": GLib.Variant("s", "zotero"),
+            "Title": GLib.Variant("s", "Zotero"),
+            "Status": GLib.Variant("s", "Active"),
+            "IconName": GLib.Variant("s", self.icon_name),
+            "IconThemePath": GLib.Variant("s", self.icon_theme_path),
+            "ToolTip": GLib.Variant("(sa(iiay)ss)", (self.icon_name, [], "Zotero", self.tooltip)),
+            "ItemIsMenu": GLib.Variant("b", False),
+            "Menu": GLib.Variant("o", "/MenuBar"),
+        }
+        return values.get(name)
+
+    def apply_state(self, state):
+        if not isinstance(state, dict):
+            raise ValueError("state must be an object")
+        self.tooltip = state.get("tooltip") or "Zotero"
+
+        # Themed icons while syncing / after a failed sync, our own otherwise
+        sync = state.get("sync")
+        self.icon_name = {"syncing": "view-refresh", "error": "dialog-error"}.get(sync, ICON_NAME)
+        self.emit_signal("/StatusNotifierItem", "org.kde.StatusNotifierItem", "NewIcon")
+        self.emit_signal("/StatusNotifierItem", "org.kde.StatusNotifierItem", "NewToolTip")
+
+    # Notifications: {title, text, kind (info/warning/error), action}
+    def show_notification(self, notification):
+        if not isinstance(notification, dict):
+            raise ValueError("notification must be an object")
+        urgency = {"error": 2, "warning": 1}.get(notification.get("kind"), 0)
+        action = notification.get("action")
+        actions = ["default", "Open"] if action else []
+        try:
+            result = self.bus.call_sync(
+                "org.freedesktop.Notifications", "/org/freedesktop/Notifications",
+                "org.freedesktop.Notifications", "Notify",
+                GLib.Variant("(susssasa{sv}i)", (
+                    "Zotero", 0, os.path.join(self.icon_theme_path, ICON_NAME + ".png"),
+                    notification.get("title") or "Zotero", notification.get("text") or "",
+                    actions, {"urgency": GLib.Variant("y", urgency)}, 10000)),
+                GLib.VariantType.new("(u)"), Gio.DBusCallFlags.NONE, -1, None)
+        except GLib.Error as e:
+            self.plugin.log("warn", "Could not show notification: %s" % e.message)
+            return
+        if action:
+            self.notifications[result.unpack()[0]] = action
+
+    def on_notification_signal(self, connection, sender, path, interface, signal, params):
+        if signal == "ActionInvoked":
+            notification_id, _ = params.unpack()
+            action = self.notifications.pop(notification_id, None)
+            if action:
+                self.plugin.send_line("ACTION " + action)
+        elif signal == "NotificationClosed":
+            notification_id, _ = params.unpack()
+            self.notifications.pop(notification_id, None)
+
+
+def parse_args(argv):
+    args = {"port": TCP_PORT, "socket": "", "token": ""}
+    for param in argv:
+        if param.startswith("--port="):
+            args["port"] = int(param[len("--port="):])
+        elif param.startswith("--socket="):
+            args["socket"] = param[len("--socket="):]
+        elif param.startswith("--session="):
+            args["token"] = read_session_token(param[len("--session="):])
+    return args
+
+
+def read_session_token(path):
+    """The plugin leaves the token in its session file, which only the current
+    user can read, rather than on our command line, which anyone can."""
+    try:
+        with open(path, encoding="utf-8") as session_file:
+            return json.load(session_file).get("token", "")
+    except (OSError, ValueError) as e:
+        print("Could not read the session file %s: %s" % (path, e), file=sys.stderr)
+        return ""
+
+
+if __name__ == "__main__":
+    TrayIcon(parse_args(sys.argv[1:])).run()
@@ -1,48 +1,29 @@
 // Zotero-in-Tray with TCP Helper Process
-// This version uses an external AutoHotkey executable for the tray icon
-// to avoid js-ctypes crashes on Windows 11. Communication is via TCP sockets.
-
-var ZoteroInTray = {
-    // Plugin metadata
-    id: null,
-    version: null,
-    rootURI: null,
-
-    // Logging function, initialized immediately.
-    log: (msg) => {
-        if (typeof Zotero !== 'undefined' && Zotero.debug) {
-            Zotero.debug(`ZoteroInTray: ${msg}`);
-        } else {
-            console.log(`ZoteroInTray: ${msg}`);
-        }
-    },
-
-    // For TCP Server
-    serverSocket: null,
-
-    // Window Management
-    mainWindow: null,
-    mainWindowHandle: null,
-    lockedWindows: new Map(),
-    isWindowHidden: false,
-    windowWasMaximized: false, // Reverted to simple boolean logic
-    isActuallyQuitting: false,
-    initialHidePerformed: false,
-    hidePollingInterval: null,
-
-    // Helper Process
-    helperProcess: null,
-    helperExeName: 'tray_helper.exe',
-    helperPath: null,
-    vbsPath: null,
-    isShuttingDown: false,
-    relaunchDelay: 2000, // ms
-    prefObserver: null,
-
-    // Windows API
+// This version uses an external helper process for the tray icon (AutoHotkey
+// on Windows, to avoid js-ctypes crashes on Windows 11; a D-Bus
+// StatusNotifierItem on Linux). Communication is via a socket file or TCP.
+
+// Platform backends. Each one hides, shows and inspects native windows and
+// names the tray helper to run; ZoteroInTray only goes through this interface:
+// acquireHandle, getHandleMethod, forgetWindow, isVisible, isMinimized,
+// isForeground, saveGeometry, hide, show, bringToFront, isHelperProcess and
+// terminateProcess.
+
+// Windows: user32/kernel32 through js-ctypes, AutoHotkey tray helper.
+var WindowsBackend = {
+    name: 'windows',
+    plugin: null,
+    ctypes: null,
     user32: null,
     kernel32: null,
-    ctypes: null,
+    handles: new WeakMap(), // window -> HWND
+    handleMethods: new WeakMap(), // window -> how its HWND was found, for diagnostics
+
+    helper: {
+        executable: 'tray_helper.exe',
+        interpreter: null,
+        resources: [{ source: 'bin/zotero_128.ico', name: 'zotero_128.ico' }],
+    },
 
     // WinAPI Constants
     constants: {
@@ -50,117 +31,53 @@ var ZoteroInTray = {
         SW_RESTORE: 9,
         SW_MAXIMIZE: 3,
         SW_MINIMIZE: 6,
+        SW_SHOWNOACTIVATE: 4,
+        SW_SHOWMINNOACTIVE: 7,
+        PROCESS_TERMINATE: 0x0001,
+        PROCESS_QUERY_LIMITED_INFORMATION: 0x1000,
     },
 
-    // Mozilla Components
-    Cc: null,
-    Ci: null,
-    prefPane: null,
-
-    init: function ({ id, version, rootURI }) {
-        this.id = id;
-        this.version = version;
-        this.rootURI = rootURI;
+    log: function (msg, level) {
+        this.plugin.log(msg, level);
+    },
 
-        // Reset state for re-enabling plugin without Zotero restart
-        this.isShuttingDown = false;
-        this.isShuttingDown = false;
-        this.initialHidePerformed = false;
-        this.cleanupPerformed = false; // Reset cleanup flag
+    init: function (plugin) {
+        this.plugin = plugin;
+        this.handles = new WeakMap();
+        this.handleMethods = new WeakMap();
 
+        // Import ctypes with fallback for Zotero 7 / Firefox 115+
         try {
-            // Define core components
-            this.Cc = Components.classes;
-            this.Ci = Components.interfaces;
-
-            // Import ctypes with fallback for Zotero 7 / Firefox 115+
+            // Try standard JSM first (Zotero 6 / Early 7)
+            const { ctypes } = ChromeUtils.import("resource://gre/modules/ctypes.jsm");
+            this.ctypes = ctypes;
+        } catch (e) {
+            this.log("⚠️ Standard ctypes.jsm import failed. Trying ES Module...", 'warn');
             try {
-                // Try standard JSM first (Zotero 6 / Early 7)
-                const { ctypes } = ChromeUtils.import("resource://gre/modules/ctypes.jsm");
+                // Try ES Module (Modern Firefox/Zotero 7+)
+                const { ctypes } = ChromeUtils.importESModule("resource://gre/modules/ctypes.sys.mjs");
                 this.ctypes = ctypes;
-            } catch (e) {
-                this.log("⚠️ Standard ctypes.jsm import failed. Trying ES Module...");
-                try {
-                     // Try ES Module (Modern Firefox/Zotero 7+)
-                     const { ctypes } = ChromeUtils.importESModule("resource://gre/modules/ctypes.sys.mjs");
-                     this.ctypes = ctypes;
-                } catch (e2) {
-                     this.log(`FATAL: Failed to import ctypes via JSM or ESM: ${e2}`);
-                     return;
-                }
+            } catch (e2) {
+                this.log(`FATAL: Failed to import ctypes via JSM or ESM: ${e2}`, 'error');
+                return false;
             }
-
-        } catch (e) {
-            this.log(`FATAL: Failed to import critical JSMs: ${e}`);
-            return; // Abort initialization
         }
 
-        this.log('🚀 Initializing Zotero-in-Tray (TCP Architecture)...');
-
-        this.initWinAPI();
-        this.startServer();
-        this.registerPrefObserver();
-        this.registerPreferences();
-        this.launchHelper();
-        this.setupDualInterceptForExistingWindows();
-
-        this.log("✓ Initialization complete.");
-    },
-
-    initWinAPI: function () {
-        if (!this.ctypes) {
-            this.log("✗ ctypes not available");
-            return;
-        }
         try {
-            this.log("Initializing Windows API libraries...");
+            this.log("Initializing Windows API libraries...", 'debug');
             this.user32 = this.ctypes.open("user32.dll");
             this.kernel32 = this.ctypes.open("kernel32.dll");
-            this.log("✓ Windows API libraries loaded.");
-            this.declareWinAPIFunctions();
-        } catch (e) {
-            this.log("✗ Error initializing Windows API: " + e);
-        }
-    },
-
-    startServer: function () {
-        try {
-            const port = Zotero.Prefs.get('extensions.zotero-in-tray.network.port', true);
-
-            // FORCE ENABLE AUTO-HIDE (Safely)
-            try {
-                Zotero.Prefs.set('extensions.zotero-in-tray.startup.autohide', true, true);
-                this.log('✓ Enforcing "Auto-hide on startup" preference (Safe Mode).');
-            } catch (e) {
-                this.log('⚠️ Could not force auto-hide pref: ' + e);
-            }
-
-            this.log(`Attempting to start server on port: ${port} (Type: ${typeof port})`);
-
-            if (!port || isNaN(port)) {
-                this.log(`✗ Invalid port number: '${port}'. Aborting server start.`);
-                return;
-            }
-
-            this.serverSocket = this.Cc["@mozilla.org/network/server-socket;1"]
-                .createInstance(this.Ci.nsIServerSocket);
-
-            const listener = {
-                onSocketAccepted: (socket, transport) => {
-                    this.log("TCP Server: Connection accepted.");
-                    this.handleConnection(socket, transport.openInputStream(0, 0, 0), transport.openOutputStream(0, 0, 0));
-                }
-            };
-            this.serverSocket.init(Number(port), true, -1);
-            this.serverSocket.asyncListen(listener);
-            this.log(`✓ Server listening on port ${port}`);
+            this.log("✓ Windows API libraries loaded.", 'debug');
+            this.declareFunctions();
+            return true;
         } catch (e) {
-            this.log(`✗ Error starting server: ${e}`);
-            if (typeof Zotero !== 'undefined') Zotero.logError(e);
+            this.log("✗ Error initializing Windows API: " + e, 'error');
+            this.close();
+            return false;
         }
     },
 
-    declareWinAPIFunctions: function () {
+    declareFunctions: function () {
         try {
             this.user32.FindWindowW = this.user32.declare("FindWindowW", this.ctypes.winapi_abi, this.ctypes.voidptr_t, this.ctypes.char16_t.ptr, this.ctypes.char16_t.ptr);
             this.user32.ShowWindow = this.user32.declare("ShowWindow", this.ctypes.winapi_abi, this.ctypes.bool, this.ctypes.voidptr_t, this.ctypes.int);
@@ -178,529 +95,3047 @@ var ZoteroInTray = {
             // PID-based window finding functions
             this.kernel32.GetCurrentProcessId = this.kernel32.declare("GetCurrentProcessId", this.ctypes.winapi_abi, this.ctypes.uint32_t);
 
-            this.log("✓ Windows API functions declared.");
+            // Functions for finding and ending a stale helper process
+            this.kernel32.OpenProcess = this.kernel32.declare("OpenProcess", this.ctypes.winapi_abi, this.ctypes.voidptr_t, this.ctypes.uint32_t, this.ctypes.bool, this.ctypes.uint32_t);
+            this.kernel32.QueryFullProcessImageNameW = this.kernel32.declare("QueryFullProcessImageNameW", this.ctypes.winapi_abi, this.ctypes.bool, this.ctypes.voidptr_t, this.ctypes.uint32_t, this.ctypes.char16_t.ptr, this.ctypes.uint32_t.ptr);
+            this.kernel32.TerminateProcess = this.kernel32.declare("TerminateProcess", this.ctypes.winapi_abi, this.ctypes.bool, this.ctypes.voidptr_t, this.ctypes.uint32_t);
+            this.kernel32.CloseHandle = this.kernel32.declare("CloseHandle", this.ctypes.winapi_abi, this.ctypes.bool, this.ctypes.voidptr_t);
+
+            this.log("✓ Windows API functions declared.", 'debug');
         } catch (e) {
-            this.log("✗ Error declaring Windows API functions: " + e);
+            this.log("✗ Error declaring Windows API functions: " + e, 'error');
             throw e;
         }
     },
 
-    getHotkeyArgs: function () {
-        const args = [];
-        try {
-            const useCtrl = Zotero.Prefs.get('extensions.zotero-in-tray.hotkey.ctrl', true);
-            const useAlt = Zotero.Prefs.get('extensions.zotero-in-tray.hotkey.alt', true);
-            const useShift = Zotero.Prefs.get('extensions.zotero-in-tray.hotkey.shift', true);
-            const key = Zotero.Prefs.get('extensions.zotero-in-tray.hotkey.key', true);
-            const port = Zotero.Prefs.get('extensions.zotero-in-tray.network.port', true);
-            this.log(`Read port for helper args: ${port}`);
+    close: function () {
+        if (this.user32) this.user32.close();
+        if (this.kernel32) this.kernel32.close();
+        this.user32 = null;
+        this.kernel32 = null;
+        this.handles = new WeakMap();
+        this.handleMethods = new WeakMap();
+    },
 
-            if (useCtrl) args.push('--ctrl');
-            if (useAlt) args.push('--alt');
-            if (useShift) args.push('--shift');
+    // Returns the HWND for a window. allowFallback also looks at the
+    // foreground window and the window class, for the main window on startup
+    // before its docShell is ready.
+    acquireHandle: function (win, { allowFallback = false } = {}) {
+        if (!win || !this.user32) return null;
+        const cached = this.handles.get(win);
+        if (cached && !cached.isNull()) return cached;
 
-            if (key && /^[a-zA-Z0-9]$/.test(key)) {
-                args.push(`--key=${key.toUpperCase()}`);
-            } else if (key) {
-                this.log(`✗ Invalid hotkey character specified: "${key}". Ignoring.`);
-            }
+        // PRIORITY 0: God Mode (Internal Mozilla API)
+        try {
+            if (win.docShell) {
+                const baseWindow = win.docShell.treeOwner.QueryInterface(this.plugin.Ci.nsIBaseWindow);
+                const nativeHandleString = baseWindow.nativeHandle;
 
-            if (port && !isNaN(port)) {
-                args.push(`--port=${port}`);
-            } else {
-                this.log(`✗ Invalid or missing port for helper. Using helper's default.`);
+                if (nativeHandleString) {
+                    const handle = this.ctypes.voidptr_t(BigInt(nativeHandleString).toString());
+                    this.handles.set(win, handle);
+                    this.handleMethods.set(win, 'nsIBaseWindow');
+                    this.log("✅ SUCCESS: Acquired Native Handle via nsIBaseWindow: " + handle.toString(), 'debug');
+                    return handle;
+                }
             }
         } catch (e) {
-            this.log(`✗ Error reading preferences for helper: ${e}`);
+            this.log(`⚠️ nsIBaseWindow method failed for ${win.location.href}: ${e}`, 'warn');
         }
-        return args;
-    },
+        if (!allowFallback) return null;
 
-    launchHelper: function () {
-        this.log("🚀 launchHelper called!"); // PROOF OF LIFE
-        if (this.isShuttingDown) {
-            this.log("Shutdown in progress, aborting helper launch.");
-            return;
-        }
-        this.log("🚀 Launching helper process...");
+        this.log("🔍 Attempting PID-based window finding (Fallback)...", 'debug');
         try {
-            let bytes;
-            if (this.rootURI.startsWith("jar:")) {
-                const jarPath = this.rootURI.substring(4, this.rootURI.indexOf('!'));
-                const fileHandler = this.Cc["@mozilla.org/network/protocol;1?name=file"].getService(this.Ci.nsIFileProtocolHandler);
-                const xpiFile = fileHandler.getFileFromURLSpec(jarPath);
-
-                const zr = this.Cc["@mozilla.org/libjar/zip-reader;1"].createInstance(this.Ci.nsIZipReader);
-                zr.open(xpiFile);
+            const currentPID = this.kernel32.GetCurrentProcessId();
 
-                const entryPath = "bin/" + this.helperExeName;
-                if (!zr.hasEntry(entryPath)) {
-                    zr.close();
-                    throw new Error(`Helper executable not found in XPI at path: ${entryPath}`);
+            // PRIORITY 1: Check Foreground Window (Most likely Zotero on startup)
+            const fgHandle = this.user32.GetForegroundWindow();
+            if (fgHandle && !fgHandle.isNull()) {
+                const processIdPtr = this.ctypes.uint32_t();
+                this.user32.GetWindowThreadProcessId(fgHandle, processIdPtr.address());
+                if (processIdPtr.value === currentPID) {
+                    this.handles.set(win, fgHandle);
+                    this.handleMethods.set(win, 'foreground window');
+                    this.log("✅ SUCCESS: Found window handle via Foreground check!", 'debug');
+                    return fgHandle;
                 }
-                const inputStream = zr.getInputStream(entryPath);
-                const binaryInputStream = this.Cc["@mozilla.org/binaryinputstream;1"].createInstance(this.Ci.nsIBinaryInputStream);
-                binaryInputStream.setInputStream(inputStream);
-                bytes = binaryInputStream.readBytes(binaryInputStream.available());
-                zr.close();
-            } else {
-                // Handle unpacked directory (Zotero 8+ typical behavior)
-                const fileHandler = this.Cc["@mozilla.org/network/protocol;1?name=file"].getService(this.Ci.nsIFileProtocolHandler);
-                const extDir = fileHandler.getFileFromURLSpec(this.rootURI);
-                const sourceExe = extDir.clone();
-                sourceExe.append("bin");
-                sourceExe.append(this.helperExeName);
-
-                this.log(`Loading helper from file path: ${sourceExe.path}`);
-                const fis = this.Cc["@mozilla.org/network/file-input-stream;1"].createInstance(this.Ci.nsIFileInputStream);
-                fis.init(sourceExe, 0x01, 0o444, 0);
-                const bis = this.Cc["@mozilla.org/binaryinputstream;1"].createInstance(this.Ci.nsIBinaryInputStream);
-                bis.setInputStream(fis);
-                bytes = bis.readBytes(bis.available());
-                fis.close();
-            }
-
-            const dirService = this.Cc['@mozilla.org/file/directory_service;1'].getService(this.Ci.nsIDirectoryService);
-            const tmpDir = dirService.get("TmpD", this.Ci.nsIFile);
-
-            const helperFile = tmpDir.clone();
-            helperFile.append(this.helperExeName);
-            this.helperPath = helperFile.path;
-
-            const ostream = this.Cc["@mozilla.org/network/file-output-stream;1"].createInstance(this.Ci.nsIFileOutputStream);
-            ostream.init(helperFile, 0x02 | 0x08 | 0x20, 0o755, 0);
-            ostream.write(bytes, bytes.length);
-            ostream.close();
-            this.log(`✓ Helper extracted to: ${this.helperPath}`);
+            }
 
-            // NEW: Also extract the icon file!
-            try {
-                const iconName = "zotero_128.ico";
-                const iconEntry = "bin/" + iconName;
-
-                // Re-open zip or standard copy depending on mode
-                let iconBytes;
-                if (this.rootURI.startsWith("jar:")) {
-                    const jarPath2 = this.rootURI.substring(4, this.rootURI.indexOf('!'));
-                    const fileHandler2 = this.Cc["@mozilla.org/network/protocol;1?name=file"].getService(this.Ci.nsIFileProtocolHandler);
-                    const xpiFile2 = fileHandler2.getFileFromURLSpec(jarPath2);
-                    const zr2 = this.Cc["@mozilla.org/libjar/zip-reader;1"].createInstance(this.Ci.nsIZipReader);
-                    zr2.open(xpiFile2);
-                    if (zr2.hasEntry(iconEntry)) {
-                        const is2 = zr2.getInputStream(iconEntry);
-                        const bis2 = this.Cc["@mozilla.org/binaryinputstream;1"].createInstance(this.Ci.nsIBinaryInputStream);
-                        bis2.setInputStream(is2);
-                        iconBytes = bis2.readBytes(bis2.available());
-                    }
-                    zr2.close();
-                } else {
-                    const fh2 = this.Cc["@mozilla.org/network/protocol;1?name=file"].getService(this.Ci.nsIFileProtocolHandler);
-                    const ed2 = fh2.getFileFromURLSpec(this.rootURI);
-                    const srcIcon = ed2.clone();
-                    srcIcon.append("bin");
-                    srcIcon.append(iconName);
-                    if (srcIcon.exists()) {
-                        const fis2 = this.Cc["@mozilla.org/network/file-input-stream;1"].createInstance(this.Ci.nsIFileInputStream);
-                        fis2.init(srcIcon, 0x01, 0o444, 0);
-                        const bis2 = this.Cc["@mozilla.org/binaryinputstream;1"].createInstance(this.Ci.nsIBinaryInputStream);
-                        bis2.setInputStream(fis2);
-                        iconBytes = bis2.readBytes(bis2.available());
-                        fis2.close();
+            // PRIORITY 2: Check standard class name
+            const windowClasses = ["MozillaWindowClass"];
+            for (const className of windowClasses) {
+                const handle = this.user32.FindWindowW(this.ctypes.char16_t.array()(className), null);
+                if (handle && !handle.isNull()) {
+                    const processIdPtr = this.ctypes.uint32_t();
+                    this.user32.GetWindowThreadProcessId(handle, processIdPtr.address());
+                    if (processIdPtr.value === currentPID) {
+                        this.handles.set(win, handle);
+                        this.handleMethods.set(win, `class name (${className})`);
+                        this.log("✅ SUCCESS: Found window handle via Class Name.", 'debug');
+                        return handle;
                     }
                 }
-
-                if (iconBytes) {
-                    const iconDest = tmpDir.clone();
-                    iconDest.append(iconName);
-                    const os2 = this.Cc["@mozilla.org/network/file-output-stream;1"].createInstance(this.Ci.nsIFileOutputStream);
-                    os2.init(iconDest, 0x02 | 0x08 | 0x20, 0o644, 0);
-                    os2.write(iconBytes, iconBytes.length);
-                    os2.close();
-                    this.log(`✓ Icon extracted to: ${iconDest.path}`);
-                } else {
-                    this.log("⚠️ Could not find icon file to extract.");
-                }
-            } catch (e) {
-                this.log("⚠️ Icon extraction failed (non-fatal): " + e);
             }
+        } catch (e) {
+            this.log(`❌ Error during window finding: ${e}`, 'error');
+        }
+        return null;
+    },
 
-            // [NEW] Create silent_kill.vbs for Flashbang-free shutdown
-            try {
-                const vbsName = "silent_kill.vbs";
-                const vbsFile = tmpDir.clone();
-                vbsFile.append(vbsName);
-                this.vbsPath = vbsFile.path;
-
-                // VBS Logic: Create WScript.Shell and Run taskkill hidden (0)
-                const vbsContent = 'CreateObject("WScript.Shell").Run "taskkill /F /IM tray_helper.exe", 0';
-
-                const os3 = this.Cc["@mozilla.org/network/file-output-stream;1"].createInstance(this.Ci.nsIFileOutputStream);
-                os3.init(vbsFile, 0x02 | 0x08 | 0x20, 0o644, 0);
-                os3.write(vbsContent, vbsContent.length);
-                os3.close();
-                this.log(`✓ Silent killer script created: ${this.vbsPath}`);
-            } catch (e) {
-                this.log("⚠️ VBS creation failed: " + e);
-            }
+    hasHandle: function (win) {
+        return !!win && this.handles.has(win);
+    },
 
-            const process = this.Cc["@mozilla.org/process/util;1"].createInstance(this.Ci.nsIProcess);
-            process.init(helperFile);
+    getHandleMethod: function (win) {
+        return (win && this.handleMethods.get(win)) || null;
+    },
 
-            const args = this.getHotkeyArgs();
-            this.log(`🚀 Running helper with args: ${args.join(' ')}`);
-            process.runAsync(args, args.length, (subject, topic, data) => {
-                if (topic === "process-finished" || topic === "process-failed") {
-                    this.log(`Helper process terminated (topic: ${topic}). Exit code: ${data}`);
-                    this.helperProcess = null;
-                    if (!this.isShuttingDown) {
-                        this.log(`🤔 Helper process terminated unexpectedly. Restarting in ${this.relaunchDelay / 1000}s...`);
-                        setTimeout(() => {
-                            this.log("Attempting to relaunch helper process...");
-                            this.launchHelper();
-                        }, this.relaunchDelay);
-                    }
-                }
-            });
-            this.helperProcess = process;
+    forgetWindow: function (win) {
+        this.handles.delete(win);
+        this.handleMethods.delete(win);
+    },
 
-            try {
-                // FORCE POLLING - Bypass Pref check to guarantee run
-                // const shouldAutoHide = Zotero.Prefs.get('extensions.zotero-in-tray.startup.autohide', true);
+    isVisible: function (win) {
+        const handle = this.acquireHandle(win);
+        return !!handle && this.user32.IsWindowVisible(handle);
+    },
 
-                if (!this.initialHidePerformed) {
-                    this.log('🚀 Auto-hide logic STARTED. Polling for window...');
-                    if (this.hidePollingInterval) clearInterval(this.hidePollingInterval);
+    isMinimized: function (win) {
+        const handle = this.acquireHandle(win);
+        return !!handle && this.user32.IsIconic(handle);
+    },
 
-                    this.hidePollingInterval = setInterval(() => {
-                        this.tryHideWindowOnStartup();
-                    }, 500); // Increased to 500ms to be nicer to CPU
+    isForeground: function (win) {
+        const handle = this.acquireHandle(win);
+        return !!handle && this.user32.GetForegroundWindow().toString() === handle.toString();
+    },
 
-                    setTimeout(() => {
-                        if (this.hidePollingInterval) {
-                            clearInterval(this.hidePollingInterval);
-                            this.hidePollingInterval = null;
-                            this.log('✗ Polling for window handle timed out after 15s.');
-                        }
-                    }, 15000);
-                }
-            } catch (e) {
-                this.log(`✗ Error starting auto-hide poller: ${e}`);
-            }
+    // Checked *right before* hiding, so show() can put the window back the way it was.
+    saveGeometry: function (win) {
+        const handle = this.acquireHandle(win);
+        return {
+            maximized: !!handle && this.user32.IsZoomed(handle),
+            minimized: !!handle && this.user32.IsIconic(handle),
+            fullscreen: !!win.fullScreen,
+        };
+    },
 
-        } catch (e) {
-            this.log("✗ Error launching helper process: " + e);
-            if (typeof Zotero !== 'undefined') Zotero.logError(e);
+    hide: function (win) {
+        const handle = this.acquireHandle(win);
+        if (handle) this.user32.ShowWindow(handle, this.constants.SW_HIDE);
+    },
+
+    // Without activate the window comes back in its saved state and without
+    // taking focus. With activate it is restored (or maximized, if it was) and
+    // brought to the foreground; forceRestore is for leaving the minimized state.
+    show: function (win, saved, { activate = false, forceRestore = false } = {}) {
+        const handle = this.acquireHandle(win);
+        if (!handle) return;
+
+        if (!activate) {
+            const state = saved.minimized
+                ? this.constants.SW_SHOWMINNOACTIVE
+                : saved.maximized ? this.constants.SW_MAXIMIZE : this.constants.SW_SHOWNOACTIVATE;
+            this.user32.ShowWindow(handle, state);
+            return;
         }
+
+        // SW_RESTORE correctly restores a window to its previous state (maximized or normal).
+        const state = (forceRestore || !saved.maximized)
+            ? this.constants.SW_RESTORE
+            : this.constants.SW_MAXIMIZE;
+        const stateName = state === this.constants.SW_MAXIMIZE ? 'Maximize' : 'Restore';
+        this.log(`🖥️ Activating window. ForceRestore=${forceRestore}. Final State: ${stateName} (${state})`, 'debug');
+
+        this.withForegroundInput(() => {
+            this.user32.ShowWindow(handle, state);
+            this.user32.SetForegroundWindow(handle);
+        });
     },
 
-    registerPreferences: function () {
-        this.log("Registering preferences pane...");
-        this.prefPane = Zotero.PreferencePanes.register({
-            pluginID: this.id,
-            paneID: 'zotero-in-tray-prefs',
-            label: 'Minimize to Tray',
-            src: this.rootURI + 'preferences.xhtml',
+    bringToFront: function (win) {
+        const handle = this.acquireHandle(win);
+        if (!handle) return;
+        // Just set it as foreground. Don't use ShowWindow, as that could
+        // change the maximized/restored state incorrectly.
+        this.withForegroundInput(() => {
+            this.user32.SetForegroundWindow(handle);
         });
-        this.log("✓ Preferences pane registered.");
     },
 
-    registerPrefObserver: function () {
-        this.log("Registering preference observer...");
+    // Windows only lets the foreground thread hand over focus, so attach our
+    // input processing to it for the duration of the callback.
+    withForegroundInput: function (callback) {
+        const hForegroundWnd = this.user32.GetForegroundWindow();
+        const dwForegroundThreadId = this.user32.GetWindowThreadProcessId(hForegroundWnd, null);
+        const dwCurrentThreadId = this.kernel32.GetCurrentThreadId();
 
-        this.prefObserver = (branch, name) => {
-            if (name.startsWith('extensions.zotero-in-tray.')) {
-                this.log(`Preference changed: ${name}. Restarting helper process.`);
-                if (this.helperProcess) {
-                    this.helperProcess.kill();
-                } else {
-                    this.log("Helper process was not running, launching it now.");
-                    this.launchHelper();
-                }
-            }
-        };
+        this.user32.AttachThreadInput(dwCurrentThreadId, dwForegroundThreadId, true);
+        try {
+            callback();
+        } finally {
+            this.user32.AttachThreadInput(dwCurrentThreadId, dwForegroundThreadId, false);
+        }
+    },
 
-        Zotero.Prefs.registerObserver('extensions.zotero-in-tray.', this.prefObserver);
-        this.log("✓ Preference observer registered.");
+    // Checks that a recorded PID still belongs to our helper executable, so
+    // a reused PID never gets a different program killed.
+    isHelperProcess: async function (pid, helperPath) {
+        const handle = this.kernel32.OpenProcess(this.constants.PROCESS_QUERY_LIMITED_INFORMATION, false, pid);
+        if (!handle || handle.isNull()) return false;
+        try {
+            const buffer = this.ctypes.char16_t.array(1024)();
+            const size = this.ctypes.uint32_t(buffer.length);
+            if (!this.kernel32.QueryFullProcessImageNameW(handle, 0, buffer, size.address())) return false;
+            return buffer.readString().toLowerCase() === helperPath.toLowerCase();
+        } finally {
+            this.kernel32.CloseHandle(handle);
+        }
     },
 
-    handleConnection: function (socket, inputStream, outputStream) {
-        this.log('✓ Client connection accepted. Setting up data pump...');
+    terminateProcess: function (pid) {
+        const handle = this.kernel32.OpenProcess(this.constants.PROCESS_TERMINATE, false, pid);
+        if (!handle || handle.isNull()) return false;
         try {
-            const pump = this.Cc['@mozilla.org/network/input-stream-pump;1'].createInstance(this.Ci.nsIInputStreamPump);
-            pump.init(inputStream, -1, -1, true);
+            return this.kernel32.TerminateProcess(handle, 1);
+        } finally {
+            this.kernel32.CloseHandle(handle);
+        }
+    },
+};
 
-            const listener = {
-                onStartRequest: (request) => { this.log('Pump: onStartRequest'); },
-                onStopRequest: (request, statusCode) => { this.log(`Pump: onStopRequest. Status: ${statusCode}`); },
-                onDataAvailable: (request, stream, offset, count) => {
-                    try {
-                        const scriptableStream = this.Cc['@mozilla.org/scriptableinputstream;1'].createInstance(this.Ci.nsIScriptableInputStream);
-                        scriptableStream.init(stream);
-                        const data = scriptableStream.read(count);
-                        this.log(`📥 Received command: ${data}`);
-
-                        if (data.trim() === 'CLICKED') {
-                            const threadManager = this.Cc["@mozilla.org/thread-manager;1"].getService(this.Ci.nsIThreadManager);
-                            threadManager.mainThread.dispatch(() => {
-                                this.handleTrayClick();
-                            }, this.Ci.nsIThread.DISPATCH_NORMAL);
-                        }
-                    } catch (e) {
-                        this.log(`✗ Error in onDataAvailable: ${e}`);
-                    }
-                }
-            };
+// Linux: Mozilla's own window APIs (GTK underneath) and a Python helper that
+// shows a StatusNotifierItem over D-Bus.
+var LinuxBackend = {
+    name: 'linux',
+    plugin: null,
+    handles: new WeakMap(), // window -> nsIBaseWindow
+    handleMethods: new WeakMap(),
+
+    helper: {
+        executable: 'tray_helper_linux.py',
+        interpreter: '/usr/bin/python3',
+        resources: [{ source: 'content/icons/favicon.png', name: 'zotero-tray.png' }],
+    },
 
-            pump.asyncRead(listener, null);
-            this.log('✓ Pump configured and asyncRead called.');
+    log: function (msg, level) {
+        this.plugin.log(msg, level);
+    },
+
+    init: function (plugin) {
+        this.plugin = plugin;
+        this.handles = new WeakMap();
+        this.handleMethods = new WeakMap();
+        return true;
+    },
+
+    close: function () {
+        this.handles = new WeakMap();
+        this.handleMethods = new WeakMap();
+    },
 
+    acquireHandle: function (win) {
+        if (!win || win.closed) return null;
+        const cached = this.handles.get(win);
+        if (cached) return cached;
+        try {
+            const baseWindow = win.docShell.treeOwner.QueryInterface(this.plugin.Ci.nsIBaseWindow);
+            this.handles.set(win, baseWindow);
+            this.handleMethods.set(win, 'nsIBaseWindow');
+            return baseWindow;
         } catch (e) {
-            this.log(`✗ Error setting up pump: ${e}`);
+            this.log(`⚠️ Could not get base window for ${win.location.href}: ${e}`, 'warn');
+            return null;
         }
     },
 
-    getMainWindowHandle: function () {
-        if (this.mainWindowHandle && !this.mainWindowHandle.isNull()) return true;
+    hasHandle: function (win) {
+        return !!win && this.handles.has(win);
+    },
 
-        // PRIORITY 0: God Mode (Internal Mozilla API)
-        try {
-            if (this.mainWindow && this.mainWindow.docShell) {
-                const baseWindow = this.mainWindow.docShell.treeOwner.QueryInterface(this.Ci.nsIBaseWindow);
-                const nativeHandleString = baseWindow.nativeHandle;
+    getHandleMethod: function (win) {
+        return (win && this.handleMethods.get(win)) || null;
+    },
 
-                if (nativeHandleString) {
-                    let handleInt = BigInt(nativeHandleString);
-                    this.mainWindowHandle = this.ctypes.voidptr_t(handleInt.toString());
-                    this.log("✅ SUCCESS: Acquired Native Handle via nsIBaseWindow: " + this.mainWindowHandle.toString());
-                    return true;
-                }
-            }
-        } catch (e) {
-            this.log(`⚠️ nsIBaseWindow method failed: ${e}`);
+    forgetWindow: function (win) {
+        this.handles.delete(win);
+        this.handleMethods.delete(win);
+    },
+
+    isVisible: function (win) {
+        const baseWindow = this.acquireHandle(win);
+        return !!baseWindow && baseWindow.visibility;
+    },
+
+    isMinimized: function (win) {
+        return !!win && win.windowState === win.STATE_MINIMIZED;
+    },
+
+    isForeground: function (win) {
+        return !!win && Services.focus.activeWindow === win;
+    },
+
+    saveGeometry: function (win) {
+        return {
+            maximized: win.windowState === win.STATE_MAXIMIZED,
+            minimized: win.windowState === win.STATE_MINIMIZED,
+            fullscreen: !!win.fullScreen,
+        };
+    },
+
+    hide: function (win) {
+        const baseWindow = this.acquireHandle(win);
+        if (baseWindow) baseWindow.visibility = false;
+    },
+
+    show: function (win, saved, { activate = false, forceRestore = false } = {}) {
+        const baseWindow = this.acquireHandle(win);
+        if (!baseWindow) return;
+        baseWindow.visibility = true;
+
+        if (forceRestore || (activate && win.windowState === win.STATE_MINIMIZED)) {
+            win.restore();
+        } else if (saved.minimized && !activate) {
+            win.minimize();
+        } else if (saved.maximized && win.windowState !== win.STATE_MAXIMIZED) {
+            win.maximize();
         }
+        if (activate) win.focus();
+    },
+
+    // Window managers may only flag the window as urgent instead of raising
+    // it when another application has focus.
+    bringToFront: function (win) {
+        if (win && !win.closed) win.focus();
+    },
 
-        this.log("🔍 Attempting PID-based window finding (Fallback)...");
+    // The helper runs under python3, so look for the script in its command line.
+    isHelperProcess: async function (pid, helperPath) {
         try {
-            const currentPID = this.kernel32.GetCurrentProcessId();
+            const cmdline = await Zotero.File.getContentsAsync(`/proc/${pid}/cmdline`);
+            return cmdline.split('\0').includes(helperPath);
+        } catch (e) {
+            return false; // Not running (any more)
+        }
+    },
 
-            // PRIORITY 1: Check Foreground Window (Most likely Zotero on startup)
-            const fgHandle = this.user32.GetForegroundWindow();
-            if (fgHandle && !fgHandle.isNull()) {
-                const processIdPtr = this.ctypes.uint32_t();
-                this.user32.GetWindowThreadProcessId(fgHandle, processIdPtr.address());
-                if (processIdPtr.value === currentPID) {
-                    this.mainWindowHandle = fgHandle;
-                    this.log("✅ SUCCESS: Found window handle via Foreground check!");
-                    return true;
-                }
-            }
+    terminateProcess: function (pid) {
+        const { Cc, Ci } = this.plugin;
+        for (const path of ['/bin/kill', '/usr/bin/kill']) {
+            const killFile = Cc["@mozilla.org/file/local;1"].createInstance(Ci.nsIFile);
+            killFile.initWithPath(path);
+            if (!killFile.exists()) continue;
+
+            const killProcess = Cc["@mozilla.org/process/util;1"].createInstance(Ci.nsIProcess);
+            killProcess.init(killFile);
+            const args = [String(pid)];
+            killProcess.run(true, args, args.length);
+            return killProcess.exitValue === 0;
+        }
+        return false;
+    },
+};
 
-            // PRIORITY 2: Check standard class name
-            const windowClasses = ["MozillaWindowClass"];
-            for (const className of windowClasses) {
-                const handle = this.user32.FindWindowW(this.ctypes.char16_t.array()(className), null);
-                if (handle && !handle.isNull()) {
-                    const processIdPtr = this.ctypes.uint32_t();
-                    this.user32.GetWindowThreadProcessId(handle, processIdPtr.address());
-                    if (processIdPtr.value === currentPID) {
-                        this.mainWindowHandle = handle;
-                        this.log("✅ SUCCESS: Found window handle via Class Name.");
-                        return true;
+var ZoteroInTray = {
+    // Plugin metadata
+    id: null,
+    version: null,
+    rootURI: null,
+
+    // Logging (see log), configured from the logging.* prefs in init
+    logLevels: ['error', 'warn', 'info', 'debug'], // Least to most detail
+    logLevel: 'info', // Messages more detailed than this are dropped
+    logToFile: false,
+    logFileName: 'zotero-in-tray.log',
+    logMaxSize: 1024 * 1024, // bytes before the log file is rotated
+    logMaxFiles: 3, // zotero-in-tray.log plus .1 and .2
+    logStream: null,
+    logFileSize: 0,
+
+    // Works before init too, without the log file. level is one of logLevels.
+    log: function (msg, level = 'info', source = 'plugin') {
+        if (this.logLevels.indexOf(level) > this.logLevels.indexOf(this.logLevel)) return;
+
+        const text = `${level.toUpperCase()} [${source}] ${msg}`;
+        if (typeof Zotero !== 'undefined' && Zotero.debug) {
+            Zotero.debug(`ZoteroInTray: ${text}`);
+        } else {
+            console.log(`ZoteroInTray: ${text}`);
+        }
+        if (this.logToFile) this.writeLogLine(`${new Date().toISOString()} ${text}`);
+    },
+
+    // For the command server (socket file or TCP)
+    serverSocket: null,
+    serverTransport: null, // 'unix' or 'tcp'
+    serverSocketPath: null,
+    serverPort: null,
+    socketFileName: 'tray.sock',
+    maxSocketPathLength: 104, // sun_path is 104 bytes on macOS, 108 on Linux
+
+    // Command Protocol (newline-framed, see README "Command Protocol")
+    protocolVersion: 1,
+    sessions: new Set(),
+    nextSessionId: 1,
+    sessionToken: null, // Random per-session secret clients must present first
+    helperSession: null,
+    helperInfo: null, // What the helper reported in HELLO, see parseHelperInfo
+    minHelperVersion: '1.1.6', // Oldest helper that speaks everything below
+    helperProblem: null, // Why the last helper was refused
+    dataDirName: 'zotero-in-tray',
+    sessionFileName: 'session.json',
+    activeEndpoint: '', // What the server is listening on, for the preferences pane
+
+    // Limits so a misbehaving local process can't flood the server
+    limits: {
+        maxSessions: 8,
+        maxLineLength: 4096, // bytes
+        maxUnauthenticatedBytes: 512,
+        authTimeout: 5000, // ms
+        rateWindow: 10000, // ms
+        maxBytesPerWindow: 65536,
+    },
+
+    // Window Management
+    mainWindow: null, // The main window the tray toggle is decided on
+    lockedWindows: new Map(),
+    hiddenWindows: new Map(), // window -> { maximized, minimized, fullscreen }
+    managedWindowTypes: ['navigator:browser', 'zotero:reader', 'zotero:note'],
+    quitObserver: null,
+    isWindowHidden: false,
+    mainWindowGeometry: null, // See captureGeometry; persisted in the window.geometry pref
+    restoreStates: new WeakMap(), // window -> windowState it had before it was last minimized
+    geometryPref: 'extensions.zotero-in-tray.window.geometry',
+    minVisibleTitle: 100, // px of the title bar that have to stay on a screen
+    isActuallyQuitting: false,
+    initialHidePerformed: false,
+    hidePollingInterval: null,
+    startupHidePending: false, // Auto-hide requested, waiting for the tray icon
+    startupHideDeadline: null,
+    trayReady: false, // Helper confirmed that its tray icon is registered
+
+    // Tray State (pushed to the helper as STATE)
+    trayStateTimer: null,
+    lastTrayState: null,
+    lastTrayMenu: null,
+    recentItems: [],
+    recentItemsLimit: 10,
+    recentItemsTimer: null,
+    syncState: 'idle', // 'idle', 'syncing' or 'error'
+    syncError: null,
+    unreadFeedItems: 0,
+    unreadCountTimer: null,
+    notifierID: null,
+    originalUpdateIcons: null,
+    syncStatusHook: null, // Our wrapper around Zotero.Sync.Runner.updateIcons
+    extraMenuItems: new Map(), // id -> {label, onCommand, ...}, added through the public API
+
+    // Public API (Zotero.MinimizeToTray) and its observer topics
+    publicAPI: null,
+    apiTopics: {
+        ready: 'zotero-in-tray:ready',
+        hidden: 'zotero-in-tray:window-hidden',
+        shown: 'zotero-in-tray:window-shown',
+    },
+
+    // External control: command line flags and zotero://tray URIs
+    externalCommands: ['SHOW', 'HIDE', 'TOGGLE', 'ACTION'], // What they may run through dispatchCommand
+    commandLineFlags: { 'tray-show': 'SHOW', 'tray-hide': 'HIDE', 'tray-toggle': 'TOGGLE' },
+    commandLineCID: '{d196550d-b576-4737-8fa6-c36fe7f87f31}',
+    commandLineContractID: '@zotero-in-tray/command-line-handler;1',
+    commandLineCategoryEntry: 'a-zotero-in-tray', // Sorted before Zotero's own handler
+    commandLineFactory: null,
+    trayURIPrefix: 'zotero://tray',
+
+    // Notifications (pushed to the helper as NOTIFY)
+    notifiedRetractions: new Set(),
+    pendingSavedItems: [],
+    pendingDownloads: [],
+    itemNotificationTimer: null,
+
+    // Helper Process
+    helperProcess: null,
+    helperPath: null,
+    helperDirName: 'helper',
+    helperHashes: new Map(), // file name -> SHA-256 of the copy shipped in the add-on
+    isShuttingDown: false,
+    // Relaunch policy: exponential backoff, and after maxRelaunches within
+    // relaunchWindow the helper is given up on ("degraded") until the user
+    // retries from the preferences pane.
+    relaunchDelay: 2000, // ms, doubled for every consecutive failure
+    maxRelaunchDelay: 60000, // ms
+    maxRelaunches: 5,
+    relaunchWindow: 300000, // ms
+    relaunchTimes: [],
+    relaunchAttempt: 0,
+    relaunchTimer: null,
+    helperRestartRequested: false, // Killed on purpose, relaunch right away
+    helperDegraded: false,
+    helperLockFileName: 'helper.lock',
+    helperStopTimeout: 1000, // ms the helper gets to exit after QUIT
+
+    // Heartbeat: the plugin PINGs the helper and the helper PINGs the plugin.
+    // Either side gives up on the other after heartbeatTimeout of silence.
+    heartbeatTimer: null,
+    heartbeatSeq: 0,
+    heartbeatInterval: 5000, // ms
+    heartbeatTimeout: 20000, // ms
+    helperLastSeen: null, // Launch time or the last line from the helper
+    helperRestarts: 0, // Helpers restarted because they stopped answering
+    helperStartedAt: null, // When the running helper was launched
+    connectionTestTimeout: 5000, // ms for "Test connection" in the preferences pane
+    connectionTestSeq: 0,
+    prefBranch: 'extensions.zotero-in-tray.',
+    prefObserver: null,
+    prefChangeTimer: null,
+    pendingPrefChanges: new Set(),
+    prefChangeDelay: 750, // ms, so typing a port doesn't rebind on every keystroke
+    serverConfig: null, // Network prefs the running server was started with
+    settingsStatus: { state: 'active', message: '' }, // Shown in the preferences pane
+    settingsStatusTopic: 'zotero-in-tray:settings-status',
+
+    // Global hotkeys, see parseHotkeySpec
+    hotkeyModifiers: { ctrl: 'ctrl', control: 'ctrl', alt: 'alt', shift: 'shift', win: 'win', super: 'win', meta: 'win' },
+    hotkeyNamedKeys: {
+        space: 'Space', tab: 'Tab', enter: 'Enter', return: 'Enter', escape: 'Escape', esc: 'Escape',
+        backspace: 'Backspace', delete: 'Delete', del: 'Delete', insert: 'Insert', ins: 'Insert',
+        home: 'Home', end: 'End', pageup: 'PgUp', pgup: 'PgUp', pagedown: 'PgDn', pgdn: 'PgDn',
+        up: 'Up', down: 'Down', left: 'Left', right: 'Right',
+        printscreen: 'PrintScreen', prtsc: 'PrintScreen', pause: 'Pause', scrolllock: 'ScrollLock',
+        numpadadd: 'NumpadAdd', numpadsub: 'NumpadSub', numpadmult: 'NumpadMult',
+        numpaddiv: 'NumpadDiv', numpaddot: 'NumpadDot', numpadenter: 'NumpadEnter',
+    },
+    hotkeyPunctuation: '`-=[]\\;\',./',
+    hotkeyActions: { toggle: 'toggle', show: 'show', hide: 'hide', search: 'search', newnote: 'newNote' },
+    helperHotkeys: [], // Bindings last handed to the helper; HOTKEYSTATUS refers to them by index
+    hotkeyStatus: null, // {registered, taken, invalid, unsupported} combos, null until the helper reports
+    hotkeyStartupChecked: false, // Only warn about unavailable hotkeys once per start
+
+    // Platform backend (WindowsBackend or LinuxBackend), null if unsupported
+    backend: null,
+    backends: {
+        WINNT: WindowsBackend,
+        Linux: LinuxBackend,
+    },
+
+    // Mozilla Components
+    Cc: null,
+    Ci: null,
+    prefPane: null,
+
+    init: function ({ id, version, rootURI }) {
+        this.id = id;
+        this.version = version;
+        this.rootURI = rootURI;
+
+        // Reset state for re-enabling plugin without Zotero restart
+        this.isShuttingDown = false;
+        this.isActuallyQuitting = false;
+        this.initialHidePerformed = false;
+        this.startupHidePending = false;
+        this.trayReady = false;
+        this.cleanupPerformed = false; // Reset cleanup flag
+        this.helperDegraded = false;
+        this.relaunchTimes = [];
+        this.relaunchAttempt = 0;
+        this.helperHashes = new Map();
+        this.helperInfo = null;
+        this.helperProblem = null;
+        this.pendingPrefChanges = new Set();
+        this.settingsStatus = { state: 'active', message: '' };
+        this.helperHotkeys = [];
+        this.hotkeyStatus = null;
+        this.hotkeyStartupChecked = false;
+        this.extraMenuItems = new Map();
+        this.notifiedRetractions = new Set();
+        this.mainWindowGeometry = null;
+        this.restoreStates = new WeakMap();
+
+        try {
+            // Define core components
+            this.Cc = Components.classes;
+            this.Ci = Components.interfaces;
+        } catch (e) {
+            this.log(`FATAL: Failed to import critical JSMs: ${e}`, 'error');
+            return; // Abort initialization
+        }
+
+        // First, so the log file also covers problems during startup.
+        this.configureLogging();
+        this.mainWindowGeometry = this.loadWindowGeometry();
+
+        this.log('🚀 Initializing Zotero-in-Tray (TCP Architecture)...');
+
+        // Internal handle for the preferences pane script, not a public API.
+        Zotero.ZoteroInTray = this;
+
+        this.sessionToken = this.generateToken();
+
+        this.activeEndpoint = '';
+
+        this.initBackend();
+        this.startServer();
+        this.migrateHotkeyPrefs();
+        this.registerPrefObserver();
+        this.registerQuitObserver();
+        this.registerPreferences();
+        this.scheduleStartupHide();
+        this.reapStaleHelper().then(() => {
+            this.removeOldHelperVersions();
+            this.launchHelper();
+        });
+        this.setupDualInterceptForExistingWindows();
+        this.startStateWatchers();
+        this.startHeartbeat();
+        this.publishAPI();
+        this.registerCommandLineHandler();
+        this.registerTrayURI();
+
+        this.log("✓ Initialization complete.");
+    },
+
+    // The stable API for other plugins and Run JavaScript snippets. Everything
+    // else on ZoteroInTray is internal and may change between versions.
+    publishAPI: function () {
+        this.publicAPI = Object.freeze({
+            apiVersion: 1,
+            version: this.version,
+            topics: Object.freeze({ ...this.apiTopics }),
+
+            isHidden: () => this.isWindowHidden,
+            isTrayAvailable: () => this.trayReady,
+            show: () => this.revealMainWindow(),
+            // Refused without a tray icon, which would be the only way back.
+            hide: () => {
+                if (!this.trayReady || !this.getMainWindowHandle()) return false;
+                if (!this.isWindowHidden) this.hideMainWindow();
+                return true;
+            },
+            toggle: () => {
+                if (!this.getMainWindowHandle() || (!this.isWindowHidden && !this.trayReady)) return false;
+                this.handleTrayClick();
+                return true;
+            },
+
+            addMenuItem: item => this.addExtraMenuItem(item),
+            removeMenuItem: id => this.removeExtraMenuItem(id),
+            notify: notification => this.notifyFromAPI(notification),
+        });
+        Zotero.MinimizeToTray = this.publicAPI;
+        this.notifyObservers(this.apiTopics.ready);
+    },
+
+    unpublishAPI: function () {
+        if (this.publicAPI && Zotero.MinimizeToTray === this.publicAPI) {
+            delete Zotero.MinimizeToTray;
+        }
+        this.publicAPI = null;
+        this.extraMenuItems.clear();
+    },
+
+    // Command line flags and zotero://tray URIs run through the same
+    // dispatcher as the command protocol, limited to externalCommands.
+    runExternalCommand: function (source, command, argument = '') {
+        if (!this.externalCommands.includes(command)) {
+            this.log(`✗ ${source}: ${command} is not allowed.`, 'error');
+            return 'ERR unknown-command';
+        }
+        // Anyone can start Zotero with -tray-hide or open a zotero://tray link
+        // (even a web page), so like the public API's hide() they are refused
+        // without a tray icon, which would be the only way back.
+        const action = command === 'ACTION' ? argument : command.toLowerCase();
+        const hides = action === 'hide' || (action === 'toggle' && !this.isWindowHidden);
+        if (hides && !this.trayReady) {
+            this.log(`⚠️ ${source}: ${command}${argument ? ` ${argument}` : ''} refused, the tray icon is not available.`, 'warn');
+            return 'ERR no-tray';
+        }
+        const reply = this.dispatchCommand({ id: source, role: 'external' }, command, argument);
+        this.log(`${source}: ${command}${argument ? ` ${argument}` : ''} -> ${reply}`);
+        return reply;
+    },
+
+    // Starting Zotero again with -tray-show, -tray-hide or -tray-toggle hands
+    // the command line to the running instance, which ends up here.
+    registerCommandLineHandler: function () {
+        try {
+            const handler = {
+                QueryInterface: ChromeUtils.generateQI(['nsICommandLineHandler']),
+                handle: cmdLine => this.handleCommandLine(cmdLine),
+                helpInfo: '  -tray-show         Show Zotero, also when it is hidden in the tray.\n'
+                    + '  -tray-hide         Hide Zotero in the tray.\n'
+                    + '  -tray-toggle       Show or hide Zotero, like clicking the tray icon.\n',
+            };
+            const factory = {
+                createInstance: iid => handler.QueryInterface(iid),
+            };
+            const registrar = Components.manager.QueryInterface(this.Ci.nsIComponentRegistrar);
+            registrar.registerFactory(Components.ID(this.commandLineCID), 'Zotero-in-Tray command line handler', this.commandLineContractID, factory);
+            Services.catMan.addCategoryEntry('command-line-handler', this.commandLineCategoryEntry, this.commandLineContractID, false, true);
+            this.commandLineFactory = factory;
+            this.log("✓ Command line handler registered.", 'debug');
+        } catch (e) {
+            this.log(`✗ Could not register the command line handler: ${e}`, 'error');
+        }
+    },
+
+    unregisterCommandLineHandler: function () {
+        if (!this.commandLineFactory) return;
+        try {
+            Services.catMan.deleteCategoryEntry('command-line-handler', this.commandLineCategoryEntry, false);
+            const registrar = Components.manager.QueryInterface(this.Ci.nsIComponentRegistrar);
+            registrar.unregisterFactory(Components.ID(this.commandLineCID), this.commandLineFactory);
+        } catch (e) {
+            this.log(`⚠️ Could not unregister the command line handler: ${e}`, 'warn');
+        }
+        this.commandLineFactory = null;
+    },
+
+    handleCommandLine: function (cmdLine) {
+        for (const [flag, command] of Object.entries(this.commandLineFlags)) {
+            if (!cmdLine.handleFlag(flag, false)) continue;
+            // Otherwise Zotero opens another main window for this command line.
+            cmdLine.preventDefault = true;
+            this.runExternalCommand('command line', command);
+        }
+    },
+
+    // zotero://tray/show[?select=<itemKey>|<libraryID>/<itemKey>], zotero://tray/hide
+    // and zotero://tray/toggle, through Zotero's own zotero:// protocol handler.
+    registerTrayURI: function () {
+        try {
+            const handler = Services.io.getProtocolHandler('zotero').wrappedJSObject;
+            handler._extensions[this.trayURIPrefix] = {
+                noContent: true,
+                doAction: uri => this.handleTrayURI(uri.spec),
+                newChannel: function (uri) {
+                    this.doAction(uri);
+                },
+            };
+            this.log(`✓ ${this.trayURIPrefix} URIs registered.`, 'debug');
+        } catch (e) {
+            this.log(`✗ Could not register ${this.trayURIPrefix} URIs: ${e}`, 'error');
+        }
+    },
+
+    unregisterTrayURI: function () {
+        try {
+            delete Services.io.getProtocolHandler('zotero').wrappedJSObject._extensions[this.trayURIPrefix];
+        } catch (e) {
+            this.log(`⚠️ Could not unregister ${this.trayURIPrefix} URIs: ${e}`, 'warn');
+        }
+    },
+
+    handleTrayURI: function (spec) {
+        const match = /^zotero:\/\/tray\/([a-z]+)\/?(?:\?(.*))?$/i.exec(spec);
+        if (!match) {
+            this.log(`✗ Not a valid tray URI: ${spec}`, 'error');
+            return;
+        }
+        const command = match[1].toUpperCase();
+        const params = {};
+        for (const pair of (match[2] || '').split('&')) {
+            const [name, value = ''] = pair.split('=');
+            if (name) params[decodeURIComponent(name)] = decodeURIComponent(value);
+        }
+
+        if (command === 'SHOW' && params.select) {
+            const select = /^(?:(\d+)\/)?([A-Z0-9]{8})$/.exec(params.select);
+            if (!select) {
+                this.log(`✗ "${params.select}" in ${spec} is not an item key.`, 'error');
+                return;
+            }
+            const libraryID = select[1] ? Number(select[1]) : Zotero.Libraries.userLibraryID;
+            this.runExternalCommand('tray URI', 'ACTION', `select:${libraryID}/${select[2]}`);
+            return;
+        }
+        if (!['SHOW', 'HIDE', 'TOGGLE'].includes(command)) {
+            this.log(`✗ Unknown tray URI command: ${spec}`, 'error');
+            return;
+        }
+        this.runExternalCommand('tray URI', command);
+    },
+
+    notifyObservers: function (topic, data = null) {
+        try {
+            Services.obs.notifyObservers(null, topic, data);
+        } catch (e) {
+            this.log(`⚠️ An observer of ${topic} failed: ${e}`, 'warn');
+        }
+    },
+
+    // Items are shown above "Quit Zotero". Adding an existing id replaces it.
+    addExtraMenuItem: function ({ id, label, onCommand, checked = false, disabled = false } = {}) {
+        if (typeof id !== 'string' || !id) throw new Error('addMenuItem: id must be a non-empty string');
+        if (typeof label !== 'string' || !label) throw new Error('addMenuItem: label must be a non-empty string');
+        if (typeof onCommand !== 'function') throw new Error('addMenuItem: onCommand must be a function');
+
+        this.extraMenuItems.set(id, { label, onCommand, checked: !!checked, disabled: !!disabled });
+        this.log(`Tray menu item "${id}" added.`, 'debug');
+        this.updateTrayState();
+        return id;
+    },
+
+    removeExtraMenuItem: function (id) {
+        if (!this.extraMenuItems.delete(id)) return false;
+        this.log(`Tray menu item "${id}" removed.`, 'debug');
+        this.updateTrayState();
+        return true;
+    },
+
+    // Shown in the tray while Zotero is hidden, in Zotero otherwise.
+    // Clicking the tray notification shows Zotero.
+    notifyFromAPI: function ({ title, text = '', kind = 'info' } = {}) {
+        if (typeof title !== 'string' || !title) throw new Error('notify: title must be a non-empty string');
+        if (!['info', 'warning', 'error'].includes(kind)) kind = 'info';
+
+        if (this.isWindowHidden && this.helperSupports('notify')) {
+            return this.pushNotification({ title, text, kind, action: 'show' });
+        }
+        this.notifyUser(title, text);
+        return true;
+    },
+
+    initBackend: function () {
+        const os = Services.appinfo.OS;
+        const backend = this.backends[os];
+        if (!backend) {
+            this.log(`✗ No tray support for platform "${os}".`, 'error');
+            return;
+        }
+        if (backend.init(this)) {
+            this.backend = backend;
+            this.log(`✓ Using ${backend.name} backend.`);
+        } else {
+            this.log(`✗ The ${backend.name} backend failed to initialize.`, 'error');
+        }
+    },
+
+    startServer: function () {
+        this.serverConfig = this.readServerConfig();
+        const transport = this.serverConfig.transport;
+        this.log(`Requested transport: ${transport}`, 'debug');
+
+        // The socket file is preferred because it can't collide with another
+        // application's port and lives in the current user's profile. TCP stays
+        // as the fallback (nsIServerSocket has no socket-file support on Windows).
+        if (transport !== 'tcp' && this.startUnixServer()) {
+            return;
+        }
+        this.startTcpServer();
+    },
+
+    readServerConfig: function () {
+        return {
+            transport: Zotero.Prefs.get('extensions.zotero-in-tray.network.transport', true) || 'auto',
+            port: Number(Zotero.Prefs.get('extensions.zotero-in-tray.network.port', true)),
+            portRange: Number(Zotero.Prefs.get('extensions.zotero-in-tray.network.portRange', true)),
+        };
+    },
+
+    stopServer: function () {
+        if (this.serverSocket) {
+            this.serverSocket.close();
+            this.serverSocket = null;
+            this.log("✓ Server socket closed.", 'debug');
+        }
+        if (this.serverSocketPath) {
+            try {
+                const socketFile = this.getSocketFile();
+                if (socketFile.exists()) socketFile.remove(false);
+            } catch (e) {
+                this.log(`⚠️ Could not remove socket file: ${e}`, 'warn');
+            }
+            this.serverSocketPath = null;
+        }
+        this.serverTransport = null;
+        this.serverPort = null;
+    },
+
+    createServerListener: function (label) {
+        return {
+            onSocketAccepted: (socket, transport) => {
+                this.log(`${label} Server: Connection accepted.`, 'debug');
+                this.handleConnection(transport);
+            },
+            onStopListening: (socket, status) => {
+                this.log(`${label} Server: Stopped listening. Status: ${status}`, 'debug');
+            }
+        };
+    },
+
+    getSocketFile: function () {
+        const socketFile = this.getDataDir();
+        socketFile.append(this.socketFileName);
+        return socketFile;
+    },
+
+    startUnixServer: function () {
+        try {
+            const socketFile = this.getSocketFile();
+            if (socketFile.path.length >= this.maxSocketPathLength) {
+                this.log(`⚠️ Socket path is too long (${socketFile.path.length} chars), falling back to TCP.`, 'warn');
+                return false;
+            }
+            // A socket file left behind by a crashed session would block the bind.
+            if (socketFile.exists()) {
+                socketFile.remove(false);
+            }
+
+            const serverSocket = this.Cc["@mozilla.org/network/server-socket;1"]
+                .createInstance(this.Ci.nsIServerSocket);
+            serverSocket.initWithFilename(socketFile, 0o600, -1);
+            serverSocket.asyncListen(this.createServerListener("Socket"));
+
+            this.serverSocket = serverSocket;
+            this.serverTransport = 'unix';
+            this.serverSocketPath = socketFile.path;
+            this.serverPort = null;
+            this.log(`✓ Server listening on socket file ${socketFile.path}`);
+            this.recordActiveEndpoint(`Socket file ${socketFile.path}`);
+            this.writeSessionFile({ transport: 'unix', socket: socketFile.path });
+            return true;
+        } catch (e) {
+            this.log(`⚠️ Socket file transport unavailable, falling back to TCP: ${e}`, 'warn');
+            return false;
+        }
+    },
+
+    startTcpServer: function () {
+        try {
+            const port = Number(Zotero.Prefs.get('extensions.zotero-in-tray.network.port', true));
+            const range = Math.max(0, Number(Zotero.Prefs.get('extensions.zotero-in-tray.network.portRange', true)) || 0);
+
+            this.log(`Attempting to start server on port: ${port} (trying up to ${range} more)`, 'debug');
+
+            if (!port || isNaN(port) || port < 1 || port > 65535) {
+                this.log(`✗ Invalid port number: '${port}'. Aborting server start.`, 'error');
+                return;
+            }
+
+            // If the preferred port is taken, walk up the range instead of
+            // leaving the helper pointed at a dead port.
+            for (let candidate = port; candidate <= Math.min(port + range, 65535); candidate++) {
+                const serverSocket = this.Cc["@mozilla.org/network/server-socket;1"]
+                    .createInstance(this.Ci.nsIServerSocket);
+                try {
+                    serverSocket.init(candidate, true, -1);
+                } catch (e) {
+                    this.log(`⚠️ Port ${candidate} is not available: ${e}`, 'warn');
+                    continue;
+                }
+                serverSocket.asyncListen(this.createServerListener("TCP"));
+
+                this.serverSocket = serverSocket;
+                this.serverTransport = 'tcp';
+                this.serverSocketPath = null;
+                this.serverPort = candidate;
+                if (candidate !== port) {
+                    this.log(`⚠️ Preferred port ${port} is busy, using port ${candidate} instead.`, 'warn');
+                }
+                this.log(`✓ Server listening on port ${candidate}`);
+                this.recordActiveEndpoint(`TCP port ${candidate}`);
+                this.writeSessionFile({ transport: 'tcp', port: candidate });
+                return;
+            }
+
+            this.log(`✗ No free port between ${port} and ${Math.min(port + range, 65535)}.`, 'error');
+            this.recordActiveEndpoint('');
+        } catch (e) {
+            this.log(`✗ Error starting server: ${e}`, 'error');
+            if (typeof Zotero !== 'undefined') Zotero.logError(e);
+        }
+    },
+
+    // Shown in the preferences pane, so users can see what was actually bound.
+    // Also written to the session file, which goes away with the session.
+    recordActiveEndpoint: function (description) {
+        this.activeEndpoint = description;
+        this.notifyObservers(this.settingsStatusTopic, 'endpoint');
+    },
+
+    generateToken: function () {
+        const generator = this.Cc["@mozilla.org/security/random-generator;1"].getService(this.Ci.nsIRandomGenerator);
+        return generator.generateRandomBytes(24)
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    },
+
+    configureLogging: function () {
+        const level = Zotero.Prefs.get('extensions.zotero-in-tray.logging.level', true);
+        this.logLevel = this.logLevels.includes(level) ? level : 'info';
+        const toFile = !!Zotero.Prefs.get('extensions.zotero-in-tray.logging.file', true);
+        if (!toFile) this.closeLogFile();
+        this.logToFile = toFile;
+        this.log(`Logging at level ${this.logLevel}${toFile ? `, to ${this.getLogFile().path}` : ''}.`);
+    },
+
+    getLogFile: function (index = 0) {
+        const file = this.getDataDir();
+        file.append(index ? `${this.logFileName}.${index}` : this.logFileName);
+        return file;
+    },
+
+    writeLogLine: function (line) {
+        try {
+            const data = this.encodeUTF8(line + '\n');
+            if (this.logStream && this.logFileSize + data.length > this.logMaxSize) {
+                this.rotateLogFiles();
+            }
+            if (!this.logStream) this.openLogFile();
+            this.logStream.write(data, data.length);
+            this.logFileSize += data.length;
+        } catch (e) {
+            // Not through log(), which would end up here again
+            this.logToFile = false;
+            this.closeLogFile();
+            Zotero.debug(`ZoteroInTray: ERROR [plugin] ✗ Log file turned off after a write error: ${e}`);
+        }
+    },
+
+    openLogFile: function () {
+        const file = this.getLogFile();
+        const stream = this.Cc["@mozilla.org/network/file-output-stream;1"].createInstance(this.Ci.nsIFileOutputStream);
+        stream.init(file, 0x02 | 0x08 | 0x10, 0o600, 0); // PR_WRONLY | PR_CREATE_FILE | PR_APPEND
+        this.logStream = stream;
+        this.logFileSize = file.fileSize;
+    },
+
+    closeLogFile: function () {
+        if (!this.logStream) return;
+        try {
+            this.logStream.close();
+        } catch (e) {
+            // Nothing left to log it to
+        }
+        this.logStream = null;
+    },
+
+    // zotero-in-tray.log becomes .1, .1 becomes .2, and so on; the oldest is dropped.
+    rotateLogFiles: function () {
+        this.closeLogFile();
+        const oldest = this.getLogFile(this.logMaxFiles - 1);
+        if (oldest.exists()) oldest.remove(false);
+        for (let index = this.logMaxFiles - 2; index >= 0; index--) {
+            const file = this.getLogFile(index);
+            if (file.exists()) file.moveTo(null, `${this.logFileName}.${index + 1}`);
+        }
+    },
+
+    getDataDir: function () {
+        const dirService = this.Cc['@mozilla.org/file/directory_service;1'].getService(this.Ci.nsIProperties);
+        const dataDir = dirService.get("ProfD", this.Ci.nsIFile);
+        dataDir.append(this.dataDirName);
+        if (!dataDir.exists()) {
+            dataDir.create(this.Ci.nsIFile.DIRECTORY_TYPE, 0o700);
+        }
+        return dataDir;
+    },
+
+    writeTextFile: function (file, text, permissions = 0o644) {
+        this.writeBinaryFile(file, this.encodeUTF8(text), permissions);
+    },
+
+    writeBinaryFile: function (file, data, permissions = 0o644) {
+        const ostream = this.Cc["@mozilla.org/network/file-output-stream;1"].createInstance(this.Ci.nsIFileOutputStream);
+        ostream.init(file, 0x02 | 0x08 | 0x20, permissions, 0);
+        ostream.write(data, data.length);
+        ostream.close();
+    },
+
+    getSessionFile: function () {
+        const sessionFile = this.getDataDir();
+        sessionFile.append(this.sessionFileName);
+        return sessionFile;
+    },
+
+    // Scripts that want to use the command protocol read the connection
+    // details (including the token) from this file in the profile directory,
+    // which only the current user can read.
+    writeSessionFile: function (details) {
+        try {
+            const sessionFile = this.getSessionFile();
+            const contents = Object.assign({
+                protocol: this.protocolVersion,
+                token: this.sessionToken,
+                pid: Services.appinfo.processID,
+                endpoint: this.activeEndpoint,
+            }, details);
+            this.writeTextFile(sessionFile, JSON.stringify(contents, null, 2), 0o600);
+            this.log(`✓ Session file written: ${sessionFile.path}`, 'debug');
+        } catch (e) {
+            this.log(`⚠️ Could not write session file: ${e}`, 'warn');
+        }
+    },
+
+    removeSessionFile: function () {
+        try {
+            const sessionFile = this.getSessionFile();
+            if (sessionFile.exists()) sessionFile.remove(false);
+        } catch (e) {
+            this.log(`⚠️ Could not remove session file: ${e}`, 'warn');
+        }
+    },
+
+    // Hotkey spec: bindings separated by ";" or ",", each "<combo>[=<action>]".
+    // A combo is modifiers (Ctrl, Alt, Shift, Win) and one key joined by "+":
+    // a letter or digit, F1-F24, a named key (Space, PgUp, Numpad0, ...) or
+    // one of `-=[]\;',./. Actions are toggle (the default), show, hide,
+    // search and newNote. For example: "Ctrl+Alt+Z; Win+Shift+F=search".
+    // Throws an Error with a message meant for the preferences pane.
+    parseHotkeySpec: function (spec) {
+        const text = String(spec || '');
+        const bindings = [];
+        const seen = new Set();
+        let pos = 0;
+
+        const readPart = () => {
+            const word = /^[a-zA-Z0-9]+/.exec(text.substring(pos));
+            const part = word ? word[0] : text.charAt(pos);
+            pos += part.length;
+            return part;
+        };
+
+        for (;;) {
+            while (pos < text.length && /[\s;,]/.test(text.charAt(pos))) pos++;
+            if (pos >= text.length) break;
+
+            const start = pos;
+            const parts = [readPart()];
+            while (text.charAt(pos) === '+' && pos + 1 < text.length) {
+                pos++;
+                parts.push(readPart());
+            }
+            let action = 'toggle';
+            if (text.charAt(pos) === '=') {
+                pos++;
+                action = readPart();
+            }
+            const source = text.substring(start, pos);
+            if (pos < text.length && !/[\s;,]/.test(text.charAt(pos))) {
+                throw new Error(`"${source}${text.charAt(pos)}" is not a valid hotkey.`);
+            }
+
+            const binding = { ctrl: false, alt: false, shift: false, win: false, key: null, action: null };
+            for (const part of parts.slice(0, -1)) {
+                const modifier = this.hotkeyModifiers[part.toLowerCase()];
+                if (!modifier) throw new Error(`"${part}" in "${source}" is not a modifier. Use Ctrl, Alt, Shift or Win.`);
+                binding[modifier] = true;
+            }
+            binding.key = this.normalizeHotkeyKey(parts[parts.length - 1]);
+            if (!binding.key) throw new Error(`"${parts[parts.length - 1]}" in "${source}" is not a key that can be used in a hotkey.`);
+            if (this.hotkeyModifiers[binding.key.toLowerCase()]) throw new Error(`"${source}" has no key besides the modifiers.`);
+            if (!binding.ctrl && !binding.alt && !binding.win && !/^F\d+$/.test(binding.key)) {
+                // Shift alone or no modifier at all would swallow normal typing.
+                throw new Error(`"${source}" needs Ctrl, Alt or Win. Only function keys (F1-F24) can be used without them.`);
+            }
+            binding.action = this.hotkeyActions[action.toLowerCase()];
+            if (!binding.action) throw new Error(`"${action}" is not a hotkey action. Use toggle, show, hide, search or newNote.`);
+
+            const combo = this.formatHotkey(binding);
+            if (seen.has(combo)) throw new Error(`${combo} is used more than once.`);
+            seen.add(combo);
+            bindings.push(binding);
+        }
+        return bindings;
+    },
+
+    normalizeHotkeyKey: function (part) {
+        if (/^[a-zA-Z0-9]$/.test(part)) return part.toUpperCase();
+        if (this.hotkeyPunctuation.includes(part) && part.length === 1) return part;
+        const lower = part.toLowerCase();
+        const fn = /^f(\d{1,2})$/.exec(lower);
+        if (fn && fn[1] >= 1 && fn[1] <= 24) return `F${Number(fn[1])}`;
+        const numpad = /^numpad(\d)$/.exec(lower);
+        if (numpad) return `Numpad${numpad[1]}`;
+        return this.hotkeyNamedKeys[lower] || (this.hotkeyModifiers[lower] ? part : null);
+    },
+
+    formatHotkey: function (binding) {
+        const names = { ctrl: 'Ctrl', alt: 'Alt', shift: 'Shift', win: 'Win' };
+        return [...Object.keys(names).filter(name => binding[name]).map(name => names[name]), binding.key].join('+');
+    },
+
+    // The reverse of parseHotkeySpec, used by the hotkey recorder in the pane.
+    formatHotkeySpec: function (bindings) {
+        return bindings
+            .map(binding => binding.action === 'toggle' ? this.formatHotkey(binding) : `${this.formatHotkey(binding)}=${binding.action}`)
+            .join('; ');
+    },
+
+    // Invalid specs are reported by validatePrefs; here they just mean no hotkeys.
+    getHotkeyBindings: function () {
+        try {
+            return this.parseHotkeySpec(Zotero.Prefs.get('extensions.zotero-in-tray.hotkey.bindings', true));
+        } catch (e) {
+            this.log(`✗ Invalid hotkey setting, no hotkeys registered: ${e.message}`, 'error');
+            return [];
+        }
+    },
+
+    // Older versions stored a single hotkey as hotkey.ctrl/alt/shift/key.
+    migrateHotkeyPrefs: function () {
+        try {
+            const legacy = name => Zotero.Prefs.get(`extensions.zotero-in-tray.hotkey.${name}`, true);
+            const key = legacy('key');
+            if (key && !Services.prefs.prefHasUserValue('extensions.zotero-in-tray.hotkey.bindings')) {
+                const binding = { ctrl: !!legacy('ctrl'), alt: !!legacy('alt'), shift: !!legacy('shift'), win: false, key: String(key).toUpperCase() };
+                // The old defaults (Alt) were never saved, so an unset hotkey.alt means Alt.
+                if (legacy('alt') === undefined) binding.alt = true;
+                const spec = this.formatHotkey(binding);
+                Zotero.Prefs.set('extensions.zotero-in-tray.hotkey.bindings', spec, true);
+                this.log(`✓ Migrated the old hotkey setting to "${spec}".`);
+            }
+            for (const name of ['ctrl', 'alt', 'shift', 'key']) {
+                Zotero.Prefs.clear(`extensions.zotero-in-tray.hotkey.${name}`, true);
+            }
+        } catch (e) {
+            this.log(`⚠️ Could not migrate the old hotkey setting: ${e}`, 'warn');
+        }
+    },
+
+    getHotkeyArgs: function () {
+        const args = [];
+        try {
+            // --hotkey=<action>:<modifiers>:<key>, e.g. --hotkey=search:ctrl,shift:F12
+            this.helperHotkeys = this.getHotkeyBindings();
+            this.setHotkeyStatus(null);
+            for (const binding of this.helperHotkeys) {
+                const modifiers = ['ctrl', 'alt', 'shift', 'win'].filter(name => binding[name]);
+                args.push(`--hotkey=${binding.action}:${modifiers.join(',')}:${binding.key}`);
+            }
+
+            if (this.serverTransport === 'unix') {
+                this.log(`Using socket file for helper args: ${this.serverSocketPath}`, 'debug');
+                args.push(`--socket=${this.serverSocketPath}`);
+            } else if (this.serverPort) {
+                this.log(`Using port for helper args: ${this.serverPort}`, 'debug');
+                args.push(`--port=${this.serverPort}`);
+            } else {
+                this.log(`✗ Server is not listening. Using helper's default port.`, 'error');
+            }
+
+            // The token is read from the session file: a command line can be
+            // read by every local user (/proc/<pid>/cmdline on Linux).
+            if (this.sessionToken) {
+                args.push(`--session=${this.getSessionFile().path}`);
+            }
+        } catch (e) {
+            this.log(`✗ Error reading preferences for helper: ${e}`, 'error');
+        }
+        return args;
+    },
+
+    // Reads a file shipped with the add-on, from the XPI or an unpacked
+    // directory (Zotero 8+ typical behavior). Returns null if it isn't there.
+    readAddonFile: function (relativePath) {
+        const fileHandler = this.Cc["@mozilla.org/network/protocol;1?name=file"].getService(this.Ci.nsIFileProtocolHandler);
+        const binaryInputStream = this.Cc["@mozilla.org/binaryinputstream;1"].createInstance(this.Ci.nsIBinaryInputStream);
+
+        if (this.rootURI.startsWith("jar:")) {
+            const jarPath = this.rootURI.substring(4, this.rootURI.indexOf('!'));
+            const zr = this.Cc["@mozilla.org/libjar/zip-reader;1"].createInstance(this.Ci.nsIZipReader);
+            zr.open(fileHandler.getFileFromURLSpec(jarPath));
+            try {
+                if (!zr.hasEntry(relativePath)) return null;
+                binaryInputStream.setInputStream(zr.getInputStream(relativePath));
+                return binaryInputStream.readBytes(binaryInputStream.available());
+            } finally {
+                zr.close();
+            }
+        }
+
+        const sourceFile = fileHandler.getFileFromURLSpec(this.rootURI);
+        for (const part of relativePath.split('/')) {
+            sourceFile.append(part);
+        }
+        if (!sourceFile.exists()) return null;
+
+        const fis = this.Cc["@mozilla.org/network/file-input-stream;1"].createInstance(this.Ci.nsIFileInputStream);
+        fis.init(sourceFile, 0x01, 0o444, 0);
+        try {
+            binaryInputStream.setInputStream(fis);
+            return binaryInputStream.readBytes(binaryInputStream.available());
+        } finally {
+            fis.close();
+        }
+    },
+
+    // Helpers are extracted per profile and per plugin version, so two
+    // profiles or two versions never overwrite each other's files.
+    getHelperDir: function () {
+        const helperDir = this.getDataDir();
+        helperDir.append(this.helperDirName);
+        helperDir.append(String(this.version).replace(/[^\w.-]/g, '_'));
+        if (!helperDir.exists()) {
+            helperDir.create(this.Ci.nsIFile.DIRECTORY_TYPE, 0o700);
+        }
+        return helperDir;
+    },
+
+    // Copies a file shipped with the add-on into the helper directory, unless
+    // an identical copy is already there. The add-on copy is only read (and
+    // hashed) the first time in a session, or when the copy on disk changed.
+    extractHelperFile: function (helperDir, source, name, permissions = 0o644) {
+        const file = helperDir.clone();
+        file.append(name);
+
+        const expected = this.helperHashes.get(name);
+        if (expected && file.exists()) {
+            if (this.hashFile(file) === expected) return file;
+            this.log(`⚠️ ${file.path} was modified, extracting it again.`, 'warn');
+        }
+
+        const bytes = this.readAddonFile(source);
+        if (bytes === null) {
+            throw new Error(`${source} not found in add-on`);
+        }
+        const hash = this.hashBytes(bytes);
+        this.helperHashes.set(name, hash);
+
+        if (file.exists() && this.hashFile(file) === hash) {
+            this.log(`✓ ${file.path} is up to date.`, 'debug');
+            return file;
+        }
+        this.writeBinaryFile(file, bytes, permissions);
+        this.log(`✓ Extracted ${source} to: ${file.path}`);
+        return file;
+    },
+
+    // Helper files of other plugin versions are no longer needed.
+    removeOldHelperVersions: function () {
+        try {
+            const helperRoot = this.getDataDir();
+            helperRoot.append(this.helperDirName);
+            if (!helperRoot.exists()) return;
+
+            const current = this.getHelperDir().leafName;
+            const entries = helperRoot.directoryEntries;
+            while (entries.hasMoreElements()) {
+                const entry = entries.nextFile;
+                if (entry.leafName === current || !entry.isDirectory()) continue;
+                try {
+                    entry.remove(true);
+                    this.log(`🧹 Removed helper files of version ${entry.leafName}.`);
+                } catch (e) {
+                    this.log(`⚠️ Could not remove ${entry.path}: ${e}`, 'warn');
+                }
+            }
+        } catch (e) {
+            this.log(`⚠️ Error removing old helper versions: ${e}`, 'warn');
+        }
+    },
+
+    createHasher: function () {
+        const hasher = this.Cc["@mozilla.org/security/hash;1"].createInstance(this.Ci.nsICryptoHash);
+        hasher.init(this.Ci.nsICryptoHash.SHA256);
+        return hasher;
+    },
+
+    hashBytes: function (bytes) {
+        const data = new Uint8Array(bytes.length);
+        for (let i = 0; i < bytes.length; i++) {
+            data[i] = bytes.charCodeAt(i);
+        }
+        const hasher = this.createHasher();
+        hasher.update(data, data.length);
+        return this.toHex(hasher.finish(false));
+    },
+
+    hashFile: function (file) {
+        const fis = this.Cc["@mozilla.org/network/file-input-stream;1"].createInstance(this.Ci.nsIFileInputStream);
+        fis.init(file, 0x01, 0o444, 0);
+        try {
+            const hasher = this.createHasher();
+            hasher.updateFromStream(fis, 0xFFFFFFFF); // PR_UINT32_MAX: the whole stream
+            return this.toHex(hasher.finish(false));
+        } finally {
+            fis.close();
+        }
+    },
+
+    toHex: function (binary) {
+        return Array.from(binary, char => char.charCodeAt(0).toString(16).padStart(2, '0')).join('');
+    },
+
+    launchHelper: function () {
+        this.log("🚀 launchHelper called!", 'debug'); // PROOF OF LIFE
+        if (this.isShuttingDown) {
+            this.log("Shutdown in progress, aborting helper launch.");
+            return;
+        }
+        if (!this.backend) {
+            this.log("✗ No platform backend, not launching the tray helper.", 'error');
+            return;
+        }
+        this.log("🚀 Launching helper process...", 'debug');
+        try {
+            const helper = this.backend.helper;
+            const helperDir = this.getHelperDir();
+            const helperFile = this.extractHelperFile(helperDir, "bin/" + helper.executable, helper.executable, 0o755);
+            this.helperPath = helperFile.path;
+
+            // Icons and other files the helper expects next to itself
+            for (const resource of helper.resources) {
+                try {
+                    this.extractHelperFile(helperDir, resource.source, resource.name);
+                } catch (e) {
+                    this.log(`⚠️ Extracting ${resource.source} failed (non-fatal): ${e}`, 'warn');
+                }
+            }
+
+            // Checked right before every run, not just when extracting
+            if (this.hashFile(helperFile) !== this.helperHashes.get(helper.executable)) {
+                throw new Error(`${helperFile.path} does not match the helper shipped with the plugin`);
+            }
+
+            let executable = helperFile;
+            let args = this.getHotkeyArgs();
+            if (helper.interpreter) {
+                executable = this.Cc["@mozilla.org/file/local;1"].createInstance(this.Ci.nsIFile);
+                executable.initWithPath(helper.interpreter);
+                if (!executable.exists()) {
+                    throw new Error(`${helper.interpreter} is needed to run ${helper.executable} but was not found`);
+                }
+                args = [helperFile.path, ...args];
+            }
+
+            const process = this.Cc["@mozilla.org/process/util;1"].createInstance(this.Ci.nsIProcess);
+            process.init(executable);
+
+            this.log(`🚀 Running helper with args: ${args.join(' ')}`);
+            process.runAsync(args, args.length, (subject, topic, data) => {
+                if (topic === "process-finished" || topic === "process-failed") {
+                    this.log(`Helper process terminated (topic: ${topic}). Exit code: ${data}`);
+                    this.helperProcess = null;
+                    this.helperStartedAt = null;
+                    this.removeHelperLock();
+                    this.trayReady = false;
+                    if (this.isShuttingDown) return;
+                    if (this.helperRestartRequested) {
+                        this.helperRestartRequested = false;
+                        this.launchHelper();
+                    } else {
+                        this.log("🤔 Helper process terminated unexpectedly.", 'warn');
+                        this.scheduleHelperRelaunch();
+                    }
+                }
+            });
+            this.helperProcess = process;
+            this.helperStartedAt = Date.now();
+            this.helperLastSeen = Date.now();
+            this.writeHelperLock(process);
+
+        } catch (e) {
+            this.log("✗ Error launching helper process: " + e, 'error');
+            if (typeof Zotero !== 'undefined') Zotero.logError(e);
+            this.scheduleHelperRelaunch();
+        }
+    },
+
+    scheduleHelperRelaunch: function () {
+        if (this.isShuttingDown || this.helperDegraded || this.relaunchTimer) return;
+
+        const now = Date.now();
+        this.relaunchTimes = this.relaunchTimes.filter(time => now - time < this.relaunchWindow);
+        if (this.relaunchTimes.length >= this.maxRelaunches) {
+            this.enterDegradedState();
+            return;
+        }
+        this.relaunchTimes.push(now);
+
+        const delay = Math.min(this.relaunchDelay * 2 ** this.relaunchAttempt, this.maxRelaunchDelay);
+        this.relaunchAttempt++;
+        this.log(`Restarting helper in ${delay / 1000}s (attempt ${this.relaunchTimes.length} of ${this.maxRelaunches})...`);
+        this.relaunchTimer = setTimeout(() => {
+            this.relaunchTimer = null;
+            this.log("Attempting to relaunch helper process...", 'debug');
+            this.launchHelper();
+        }, delay);
+    },
+
+    // The helper keeps failing: stop trying, make sure the window is
+    // reachable and tell the user why there is no tray icon.
+    enterDegradedState: function () {
+        this.log(`✗ Helper failed ${this.maxRelaunches} times within ${this.relaunchWindow / 60000} minutes. Giving up.`, 'error');
+        this.helperDegraded = true;
+        this.trayReady = false;
+
+        this.startupHidePending = false;
+        if (this.hidePollingInterval) {
+            clearInterval(this.hidePollingInterval);
+            this.hidePollingInterval = null;
+        }
+        if (this.startupHideDeadline) {
+            clearTimeout(this.startupHideDeadline);
+            this.startupHideDeadline = null;
+        }
+        if (this.isWindowHidden) {
+            this.showMainWindow({ forceRestore: false });
+        }
+
+        const cause = this.helperProblem
+            ? `The tray helper is not compatible with this plugin version: ${this.helperProblem}.`
+            : 'The tray helper keeps stopping.';
+        this.notifyUser(
+            'Tray icon unavailable',
+            `${cause} Zotero can't be hidden in the tray right now. Fix the cause (for example an antivirus block or an outdated helper), then choose "Retry Tray Helper" in the Minimize to Tray settings.`
+        );
+    },
+
+    retryHelper: function () {
+        this.log("🔁 Helper retry requested.");
+        this.helperDegraded = false;
+        this.relaunchTimes = [];
+        this.relaunchAttempt = 0;
+        if (this.relaunchTimer) {
+            clearTimeout(this.relaunchTimer);
+            this.relaunchTimer = null;
+        }
+        this.restartHelper();
+    },
+
+    // Restarts on purpose: doesn't count against the relaunch policy.
+    restartHelper: function () {
+        if (this.helperProcess) {
+            this.helperRestartRequested = true;
+            this.helperProcess.kill();
+        } else if (!this.relaunchTimer && !this.helperDegraded) {
+            this.launchHelper();
+        }
+    },
+
+    // The lock file records which process is our helper, so only that one is
+    // ever stopped: not helpers of other profiles or other users' sessions.
+    getHelperLockFile: function () {
+        const lockFile = this.getDataDir();
+        lockFile.append(this.helperLockFileName);
+        return lockFile;
+    },
+
+    writeHelperLock: function (process) {
+        try {
+            const contents = {
+                pid: process.pid,
+                path: this.helperPath,
+                zoteroPid: Services.appinfo.processID,
+            };
+            this.writeTextFile(this.getHelperLockFile(), JSON.stringify(contents, null, 2), 0o600);
+            this.log(`✓ Helper PID ${process.pid} recorded.`, 'debug');
+        } catch (e) {
+            this.log(`⚠️ Could not write helper lock file: ${e}`, 'warn');
+        }
+    },
+
+    readHelperLock: function () {
+        try {
+            const lockFile = this.getHelperLockFile();
+            if (!lockFile.exists()) return null;
+            return JSON.parse(Zotero.File.getContents(lockFile));
+        } catch (e) {
+            this.log(`⚠️ Could not read helper lock file: ${e}`, 'warn');
+            return null;
+        }
+    },
+
+    removeHelperLock: function () {
+        try {
+            const lockFile = this.getHelperLockFile();
+            if (lockFile.exists()) lockFile.remove(false);
+        } catch (e) {
+            this.log(`⚠️ Could not remove helper lock file: ${e}`, 'warn');
+        }
+    },
+
+    // A lock file left at startup means the last session crashed before it
+    // could stop its helper. End that helper if it is still running.
+    reapStaleHelper: async function () {
+        const lock = this.readHelperLock();
+        if (!lock) return;
+        this.removeHelperLock();
+        if (!this.backend || !lock.pid || !lock.path) return;
+
+        try {
+            if (await this.backend.isHelperProcess(lock.pid, lock.path)) {
+                this.log(`🧹 Ending stale helper process ${lock.pid} left behind by a previous session.`);
+                if (!this.backend.terminateProcess(lock.pid)) {
+                    this.log(`⚠️ Could not end stale helper process ${lock.pid}.`, 'warn');
+                }
+            }
+        } catch (e) {
+            this.log(`⚠️ Error checking for a stale helper: ${e}`, 'warn');
+        }
+    },
+
+    startHeartbeat: function () {
+        this.stopHeartbeat();
+        this.heartbeatTimer = setInterval(() => this.checkHeartbeat(), this.heartbeatInterval);
+    },
+
+    stopHeartbeat: function () {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+    },
+
+    isHelperResponsive: function () {
+        return !!this.helperProcess && !!this.helperLastSeen
+            && Date.now() - this.helperLastSeen <= this.heartbeatTimeout;
+    },
+
+    // A helper that hangs never fires process-finished, so the relaunch in
+    // launchHelper would never happen. Kill it once it has been silent for
+    // too long (or never connected); the relaunch then takes over.
+    checkHeartbeat: function () {
+        if (this.isShuttingDown || !this.helperProcess) return;
+
+        if (this.helperSession) {
+            // Helpers without heartbeats are judged by the connection alone
+            if (!this.helperSupports('heartbeat')) return;
+            this.pushToHelper(`PING ${++this.heartbeatSeq}`);
+        }
+        if (this.isHelperResponsive()) return;
+
+        const silence = Math.round((Date.now() - this.helperLastSeen) / 1000);
+        this.log(`💔 No heartbeat from the helper for ${silence}s. Restarting it.`, 'warn');
+        this.helperRestarts++;
+        this.trayReady = false;
+        if (this.helperSession) this.closeSession(this.helperSession);
+        try {
+            this.helperProcess.kill();
+        } catch (e) {
+            this.log(`✗ Could not kill the unresponsive helper: ${e}`, 'error');
+        }
+    },
+
+    // The helper lives as long as the application, not any one window.
+    // File > Quit, the tray's Quit item and OS shutdown all end in
+    // quit-application-granted, which only comes once nothing can cancel the
+    // quit any more and before the windows are closed.
+    registerQuitObserver: function () {
+        this.quitObserver = {
+            observe: (subject, topic, data) => {
+                this.log(`Application is quitting (${topic}).`);
+                this.isActuallyQuitting = true;
+                if (!this.isWindowHidden && this.getMainWindowHandle()) {
+                    this.mainWindowGeometry = this.captureGeometry(this.mainWindow, this.mainWindowGeometry);
+                }
+                this.saveWindowGeometry();
+                this.cleanupHelper();
+            }
+        };
+        Services.obs.addObserver(this.quitObserver, 'quit-application-granted');
+    },
+
+    registerPreferences: function () {
+        this.log("Registering preferences pane...", 'debug');
+        this.prefPane = Zotero.PreferencePanes.register({
+            pluginID: this.id,
+            paneID: 'zotero-in-tray-prefs',
+            label: 'Minimize to Tray',
+            src: this.rootURI + 'preferences.xhtml',
+            scripts: [this.rootURI + 'preferences.js'],
+        });
+        this.log("✓ Preferences pane registered.", 'debug');
+    },
+
+    registerPrefObserver: function () {
+        this.log("Registering preference observer...", 'debug');
+
+        this.prefObserver = {
+            observe: (subject, topic, name) => {
+                // window.geometry is written by the plugin itself, not the user.
+                if (topic !== 'nsPref:changed' || name.endsWith('.window.geometry')) return;
+                this.pendingPrefChanges.add(name.substring(this.prefBranch.length));
+                this.setSettingsStatus('pending', 'Applying changes...');
+
+                if (this.prefChangeTimer) clearTimeout(this.prefChangeTimer);
+                this.prefChangeTimer = setTimeout(() => {
+                    this.prefChangeTimer = null;
+                    this.applyPrefChanges();
+                }, this.prefChangeDelay);
+            }
+        };
+
+        Services.prefs.addObserver(this.prefBranch, this.prefObserver);
+        this.log("✓ Preference observer registered.", 'debug');
+    },
+
+    // Window behavior, notification and startup settings are read whenever
+    // they are used, so only logging, network and hotkey changes need work here.
+    applyPrefChanges: function () {
+        if (this.isShuttingDown) return;
+        const names = [...this.pendingPrefChanges];
+        this.log(`Preferences changed: ${names.join(', ')}`);
+
+        // Invalid values are not applied, and stay pending until fixed.
+        const problem = this.validatePrefs();
+        if (problem) {
+            this.log(`✗ Not applying preferences: ${problem}`, 'error');
+            this.setSettingsStatus('invalid', problem);
+            return;
+        }
+        this.pendingPrefChanges.clear();
+
+        try {
+            if (names.some(name => name.startsWith('logging.'))) {
+                this.configureLogging();
+            }
+            if (names.some(name => name.startsWith('network.')) && this.isServerConfigChanged()) {
+                this.log("🔁 Network settings changed, rebinding the server.");
+                this.stopServer();
+                this.startServer();
+                if (!this.serverSocket) {
+                    this.setSettingsStatus('error', 'The plugin could not start listening with the new network settings.');
+                    return;
+                }
+                // The helper only learns the new endpoint on its command line.
+                this.restartHelper();
+            } else if (names.some(name => name.startsWith('hotkey.'))) {
+                this.applyHotkeys();
+                return; // Status is set once the helper answers
+            }
+            this.setSettingsStatus('active', '');
+        } catch (e) {
+            this.log(`✗ Error applying preferences: ${e}`, 'error');
+            this.setSettingsStatus('error', `Could not apply the new settings: ${e.message || e}`);
+        }
+    },
+
+    validatePrefs: function () {
+        const get = name => Zotero.Prefs.get(this.prefBranch + name, true);
+
+        const transport = get('network.transport') || 'auto';
+        if (!['auto', 'tcp'].includes(transport)) {
+            return `"${transport}" is not a known connection type.`;
+        }
+        const port = Number(get('network.port'));
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+            return `"${get('network.port')}" is not a valid port. Use a number from 1 to 65535.`;
+        }
+        const range = Number(get('network.portRange'));
+        if (!Number.isInteger(range) || range < 0 || range > 100) {
+            return `"${get('network.portRange')}" is not a valid number of additional ports. Use 0 to 100.`;
+        }
+
+        const logLevel = get('logging.level');
+        if (logLevel && !this.logLevels.includes(logLevel)) {
+            return `"${logLevel}" is not a log level. Use ${this.logLevels.join(', ')}.`;
+        }
+
+        try {
+            this.parseHotkeySpec(get('hotkey.bindings'));
+        } catch (e) {
+            return e.message;
+        }
+        return null;
+    },
+
+    isServerConfigChanged: function () {
+        if (!this.serverSocket || !this.serverConfig) return true;
+        const config = this.readServerConfig();
+        if (config.transport !== this.serverConfig.transport) return true;
+        // The port settings don't matter while listening on a socket file.
+        if (this.serverTransport === 'unix') return false;
+        return config.port !== this.serverConfig.port || config.portRange !== this.serverConfig.portRange;
+    },
+
+    // A running helper that can change its hotkeys on the fly gets the new
+    // ones pushed; older helpers are restarted with them on the command line.
+    applyHotkeys: function () {
+        if (this.helperSession && !this.helperInfo.hotkeys) {
+            this.helperHotkeys = this.getHotkeyBindings();
+            this.setHotkeyStatus({ registered: [], taken: [], invalid: [], unsupported: this.helperHotkeys.map(binding => this.formatHotkey(binding)) });
+        }
+        if (!this.helperSession || !this.helperInfo.hotkeys) {
+            this.setSettingsStatus('active', '');
+            return;
+        }
+        if (!this.helperSupports('live-hotkeys')) {
+            this.restartHelper();
+            this.setSettingsStatus('active', '');
+            return;
+        }
+        const bindings = this.getHotkeyBindings();
+        const limit = this.helperInfo.hotkeys;
+        if (bindings.length > limit) {
+            this.log(`⚠️ The helper can register ${limit} hotkeys, ignoring ${bindings.slice(limit).map(b => this.formatHotkey(b)).join(', ')}.`, 'warn');
+        }
+        this.helperHotkeys = bindings;
+        this.pushToHelper(`HOTKEYS ${JSON.stringify(bindings.slice(0, limit))}`, (status, detail) => {
+            // Which ones actually work arrives separately as HOTKEYSTATUS.
+            if (status === 'OK') {
+                this.log("✓ Helper switched to the new hotkeys.");
+                this.setSettingsStatus('active', '');
+            } else {
+                this.setSettingsStatus('error', `The tray helper did not accept the new hotkeys (${detail}).`);
+            }
+        });
+    },
+
+    // HOTKEYSTATUS {"registered": [i, ...], "failed": [i, ...], "reasons": [r, ...]},
+    // sent by the helper after registering the bindings from its command line
+    // or HOTKEYS. reasons says why each failed one failed: "taken" (another
+    // application uses it) or "invalid" (the helper can't register that key).
+    // Bindings it left out (more than it supports) are in neither list.
+    onHotkeyStatus: function (argument) {
+        const report = JSON.parse(argument);
+        const combo = index => this.helperHotkeys[index] && this.formatHotkey(this.helperHotkeys[index]);
+        const registered = (Array.isArray(report.registered) ? report.registered : []).map(combo).filter(Boolean);
+        const taken = [];
+        const invalid = [];
+        const reasons = Array.isArray(report.reasons) ? report.reasons : [];
+        (Array.isArray(report.failed) ? report.failed : []).forEach((index, position) => {
+            if (!combo(index)) return;
+            (reasons[position] === 'invalid' ? invalid : taken).push(combo(index));
+        });
+        const unsupported = this.helperHotkeys
+            .map(binding => this.formatHotkey(binding))
+            .filter(c => !registered.includes(c) && !taken.includes(c) && !invalid.includes(c));
+
+        this.log(`Hotkeys registered: ${registered.join(', ') || 'none'}${taken.length ? `, taken: ${taken.join(', ')}` : ''}${invalid.length ? `, invalid: ${invalid.join(', ')}` : ''}${unsupported.length ? `, not supported: ${unsupported.join(', ')}` : ''}.`);
+        this.setHotkeyStatus({ registered, taken, invalid, unsupported });
+
+        // Later failures come from changing the setting and show up in the pane.
+        if (!this.hotkeyStartupChecked) {
+            this.hotkeyStartupChecked = true;
+            if (taken.length || invalid.length) this.warnHotkeysUnavailable(taken, invalid);
+        }
+    },
+
+    warnHotkeysUnavailable: function (taken, invalid) {
+        const count = taken.length + invalid.length;
+        const title = count > 1 ? 'Hotkeys unavailable' : 'Hotkey unavailable';
+        const reasons = [];
+        if (taken.length) {
+            reasons.push(`${taken.join(', ')} could not be set up because another application already uses ${taken.length > 1 ? 'them' : 'it'}.`);
+        }
+        if (invalid.length) {
+            reasons.push(`${invalid.join(', ')} could not be set up because the tray helper does not support ${invalid.length > 1 ? 'these keys' : 'this key'}.`);
+        }
+        const text = `${reasons.join(' ')} Choose a different combination in the Minimize to Tray settings.`;
+        if (this.isWindowHidden && this.helperSupports('notify')) {
+            this.pushToHelper(`NOTIFY ${JSON.stringify({ title, text, kind: 'warning', action: 'preferences' })}`);
+        } else {
+            this.notifyUser(title, text);
+        }
+    },
+
+    setHotkeyStatus: function (status) {
+        this.hotkeyStatus = status;
+        try {
+            Services.obs.notifyObservers(null, this.settingsStatusTopic, 'hotkeys');
+        } catch (e) {
+            this.log(`⚠️ Could not report hotkey status: ${e}`, 'warn');
+        }
+    },
+
+    setSettingsStatus: function (state, message) {
+        this.settingsStatus = { state, message };
+        try {
+            Services.obs.notifyObservers(null, this.settingsStatusTopic, state);
+        } catch (e) {
+            this.log(`⚠️ Could not report settings status: ${e}`, 'warn');
+        }
+    },
+
+    // Everything the Diagnostics section of the preferences pane shows, and
+    // what "Copy diagnostic report" puts on the clipboard.
+    getDiagnostics: function () {
+        let helperPid = null;
+        try {
+            if (this.helperProcess) helperPid = this.helperProcess.pid;
+        } catch (e) {
+            // pid throws once the process is gone
+        }
+        return {
+            ...this.getStatus(),
+            zotero: Zotero.version,
+            os: `${Services.appinfo.OS} ${Services.sysinfo.getProperty('version')}`,
+            listening: !!this.serverSocket,
+            socketPath: this.serverTransport === 'unix' ? this.serverSocketPath : null,
+            helperPid,
+            helperPath: this.helperPath,
+            helperUptime: this.helperStartedAt ? Date.now() - this.helperStartedAt : null, // ms
+            windowHandleMethod: this.backend ? this.backend.getHandleMethod(this.mainWindow) : null,
+            windowGeometry: this.mainWindowGeometry,
+            settings: this.settingsStatus,
+        };
+    },
+
+    // A round trip through the helper: PING on its session, answered with
+    // OK PONG. Resolves to {ok, ms, reason}.
+    testHelperConnection: function () {
+        return new Promise((resolve) => {
+            const token = `test-${++this.connectionTestSeq}`;
+            const started = Date.now();
+            let done = false;
+            const finish = (ok, reason) => {
+                if (done) return;
+                done = true;
+                clearTimeout(timer);
+                const result = { ok, ms: Date.now() - started, reason };
+                this.log(`Connection test: ${ok ? `OK in ${result.ms} ms` : `failed (${reason})`}`);
+                resolve(result);
+            };
+            const timer = setTimeout(() => finish(false, 'timeout'), this.connectionTestTimeout);
+            this.pushToHelper(`PING ${token}`, (status, detail) => {
+                if (status === 'OK' && detail === `PONG ${token}`) {
+                    finish(true, null);
+                } else {
+                    finish(false, status === 'ERR' ? detail : `unexpected reply: ${status} ${detail}`);
+                }
+            });
+        });
+    },
+
+    handleConnection: function (transport) {
+        if (this.sessions.size >= this.limits.maxSessions) {
+            this.log(`✗ Rejecting connection: ${this.sessions.size} sessions already open.`, 'error');
+            transport.close(Components.results.NS_ERROR_ABORT);
+            return;
+        }
+
+        this.log('✓ Client connection accepted. Setting up data pump...', 'debug');
+        const session = {
+            id: this.nextSessionId++,
+            transport: transport,
+            input: null,
+            output: null,
+            buffer: '',
+            authenticated: false,
+            greeted: false,
+            quitRequested: false,
+            closed: false,
+            role: 'client',
+            pendingReplies: [], // Callbacks for lines we pushed, in order
+            bytesReceived: 0,
+            windowStart: Date.now(),
+            windowBytes: 0,
+            authTimer: null,
+        };
+        try {
+            session.input = transport.openInputStream(0, 0, 0);
+            session.output = transport.openOutputStream(0, 0, 0);
+            this.sessions.add(session);
+
+            session.authTimer = setTimeout(() => {
+                if (!session.authenticated) {
+                    this.rejectSession(session, 'auth-timeout');
+                }
+            }, this.limits.authTimeout);
+
+            const pump = this.Cc['@mozilla.org/network/input-stream-pump;1'].createInstance(this.Ci.nsIInputStreamPump);
+            pump.init(session.input, -1, -1, true);
+
+            const listener = {
+                onStartRequest: (request) => { this.log(`Pump #${session.id}: onStartRequest`, 'debug'); },
+                onStopRequest: (request, statusCode) => {
+                    this.log(`Pump #${session.id}: onStopRequest. Status: ${statusCode}`, 'debug');
+                    // A client may hang up without terminating its last command.
+                    // Treat whatever is left in the buffer as a final line.
+                    const rest = session.buffer.trim();
+                    session.buffer = '';
+                    if (rest) this.queueLine(session, rest);
+                    this.runOnMainThread(() => this.closeSession(session));
+                },
+                onDataAvailable: (request, stream, offset, count) => {
+                    try {
+                        const binaryStream = this.Cc['@mozilla.org/binaryinputstream;1'].createInstance(this.Ci.nsIBinaryInputStream);
+                        binaryStream.setInputStream(stream);
+                        const chunk = binaryStream.readBytes(count);
+                        if (session.closed) return;
+
+                        const violation = this.checkSessionLimits(session, chunk.length);
+                        if (violation) {
+                            this.rejectSession(session, violation);
+                            return;
+                        }
+                        session.buffer += chunk;
+
+                        // Commands are newline-framed; a chunk may carry half a
+                        // command or several of them.
+                        let newline;
+                        while ((newline = session.buffer.indexOf('\n')) !== -1) {
+                            const line = session.buffer.substring(0, newline).replace(/\r$/, '');
+                            session.buffer = session.buffer.substring(newline + 1);
+                            this.queueLine(session, line);
+                        }
+                        if (session.buffer.length > this.limits.maxLineLength) {
+                            this.rejectSession(session, 'line-too-long');
+                        }
+                    } catch (e) {
+                        this.log(`✗ Error in onDataAvailable: ${e}`, 'error');
+                    }
+                }
+            };
+
+            pump.asyncRead(listener, null);
+            this.log(`✓ Pump #${session.id} configured and asyncRead called.`, 'debug');
+
+        } catch (e) {
+            this.log(`✗ Error setting up pump: ${e}`, 'error');
+            this.closeSession(session);
+        }
+    },
+
+    checkSessionLimits: function (session, byteCount) {
+        const now = Date.now();
+        session.bytesReceived += byteCount;
+        if (!session.authenticated && session.bytesReceived > this.limits.maxUnauthenticatedBytes) {
+            return 'too-much-data-before-auth';
+        }
+        if (now - session.windowStart > this.limits.rateWindow) {
+            session.windowStart = now;
+            session.windowBytes = 0;
+        }
+        session.windowBytes += byteCount;
+        if (session.windowBytes > this.limits.maxBytesPerWindow) {
+            return 'rate-limit';
+        }
+        return null;
+    },
+
+    rejectSession: function (session, reason) {
+        if (session.closed) return;
+        this.log(`✗ Rejecting session #${session.id}: ${reason}`, 'error');
+        this.sendLine(session, `ERR ${reason}`);
+        this.closeSession(session);
+    },
+
+    // Compares without bailing out early, so timing doesn't leak the token.
+    isValidToken: function (candidate) {
+        const expected = this.sessionToken;
+        if (!expected || typeof candidate !== 'string' || candidate.length !== expected.length) {
+            return false;
+        }
+        let difference = 0;
+        for (let i = 0; i < expected.length; i++) {
+            difference |= candidate.charCodeAt(i) ^ expected.charCodeAt(i);
+        }
+        return difference === 0;
+    },
+
+    runOnMainThread: function (callback) {
+        const threadManager = this.Cc["@mozilla.org/thread-manager;1"].getService(this.Ci.nsIThreadManager);
+        threadManager.mainThread.dispatch(callback, this.Ci.nsIThread.DISPATCH_NORMAL);
+    },
+
+    // Every line goes through the main thread queue so replies keep the
+    // order in which the commands arrived.
+    queueLine: function (session, rawLine) {
+        this.runOnMainThread(() => {
+            if (session.closed) return;
+            const line = this.decodeUTF8(rawLine).trim();
+            if (!line) return;
+            if (session === this.helperSession) this.helperLastSeen = Date.now();
+            // Heartbeats would flood the debug log, and LOG lines are logged by their handler
+            if (!/^(PING|OK PONG|LOG)\b/i.test(line)) {
+                this.log(`📥 Received command #${session.id}: ${session.authenticated ? line : line.split(' ')[0]}`, 'debug');
+            }
+            const reply = this.processLine(session, line);
+            if (session.closed) return;
+            if (reply) this.sendLine(session, reply);
+            if (session.quitRequested) this.closeSession(session);
+        });
+    },
+
+    processLine: function (session, line) {
+        const separator = line.indexOf(' ');
+        const command = (separator === -1 ? line : line.substring(0, separator)).toUpperCase();
+        const argument = separator === -1 ? '' : line.substring(separator + 1).trim();
+
+        // The token must come first; anything else closes the connection.
+        if (!session.authenticated) {
+            if (command !== 'AUTH' || !this.isValidToken(argument)) {
+                this.rejectSession(session, 'unauthorized');
+                return null;
+            }
+            session.authenticated = true;
+            clearTimeout(session.authTimer);
+            session.authTimer = null;
+            return 'OK AUTH';
+        }
+
+        // Replies to lines we pushed. Never answered, or the two sides
+        // would echo each other forever.
+        if (command === 'OK' || command === 'ERR') {
+            this.handleReply(session, command, argument);
+            return null;
+        }
+
+        if (command === 'HELLO') {
+            const [versionText, role, ...fields] = argument.split(/\s+/);
+            const version = parseInt(versionText, 10);
+            if (!version || version < 1) {
+                return 'ERR invalid-version';
+            }
+            if (version !== this.protocolVersion) {
+                return `ERR unsupported-version ${this.protocolVersion}`;
+            }
+            if (role === 'helper') {
+                const info = this.parseHelperInfo(fields);
+                const problem = this.checkHelperCompatibility(info);
+                if (problem) {
+                    this.refuseHelper(session, problem);
+                    return null;
+                }
+                session.greeted = true;
+                this.registerHelperSession(session, info);
+            } else {
+                session.greeted = true;
+            }
+            return `OK HELLO ${this.protocolVersion}`;
+        }
+
+        if (!session.greeted) {
+            return 'ERR handshake-required';
+        }
+
+        try {
+            return this.dispatchCommand(session, command, argument);
+        } catch (e) {
+            this.log(`✗ Error handling ${command}: ${e}`, 'error');
+            return `ERR ${this.formatReason(e)}`;
+        }
+    },
+
+    dispatchCommand: function (session, command, argument) {
+        switch (command) {
+            case 'PING':
+                return argument ? `OK PONG ${argument}` : 'OK PONG';
+
+            case 'STATUS':
+                return 'OK ' + JSON.stringify(this.getStatus());
+
+            case 'QUIT':
+                session.quitRequested = true;
+                return 'OK BYE';
+
+            case 'TOGGLE':
+                if (!this.getMainWindowHandle()) return 'ERR no-window';
+                this.handleTrayClick();
+                return 'OK';
+
+            case 'SHOW':
+                if (!this.getMainWindowHandle()) return 'ERR no-window';
+                this.showMainWindow({ forceRestore: this.backend.isMinimized(this.mainWindow) });
+                return 'OK';
+
+            case 'HIDE':
+                if (!this.getMainWindowHandle()) return 'ERR no-window';
+                this.hideMainWindow();
+                return 'OK';
+
+            case 'READY':
+                if (session !== this.helperSession) return 'ERR not-helper';
+                this.onHelperReady(argument);
+                return 'OK';
+
+            case 'FOCUS':
+                if (!this.revealMainWindow()) return 'ERR no-window';
+                return 'OK';
+
+            case 'ACTION':
+                return this.handleTrayAction(argument) ? 'OK' : 'ERR unknown-action';
+
+            case 'LOG': {
+                // LOG <level> <message>, so the helper's messages end up in our log
+                const [level, ...words] = argument.split(' ');
+                if (!this.logLevels.includes(level)) return 'ERR invalid-level';
+                this.log(words.join(' '), level, session === this.helperSession ? 'helper' : `session #${session.id}`);
+                return 'OK';
+            }
+
+            case 'HOTKEYSTATUS':
+                if (session !== this.helperSession) return 'ERR not-helper';
+                this.onHotkeyStatus(argument);
+                return 'OK';
+
+            default:
+                return 'ERR unknown-command';
+        }
+    },
+
+    getStatus: function () {
+        return {
+            protocol: this.protocolVersion,
+            version: this.version,
+            platform: this.backend ? this.backend.name : null,
+            hidden: this.isWindowHidden,
+            maximized: !!this.mainWindowGeometry && this.mainWindowGeometry.maximized,
+            windows: this.getManagedWindows().length,
+            hiddenWindows: this.hiddenWindows.size,
+            windowHandle: !!this.backend && this.backend.hasHandle(this.mainWindow),
+            helperRunning: !!this.helperProcess,
+            helperLastSeen: this.helperLastSeen ? Date.now() - this.helperLastSeen : null, // ms ago
+            helperResponsive: this.isHelperResponsive(),
+            helperRestarts: this.helperRestarts,
+            helperDegraded: this.helperDegraded,
+            helper: this.helperInfo,
+            helperProblem: this.helperProblem,
+            hotkeys: this.hotkeyStatus,
+            trayReady: this.trayReady,
+            helperConnected: !!this.helperSession,
+            sync: this.syncState,
+            unread: this.unreadFeedItems,
+            transport: this.serverTransport,
+            port: this.serverPort,
+            sessions: this.sessions.size,
+        };
+    },
+
+    sendLine: function (session, text) {
+        if (session.closed || !session.output) return;
+        try {
+            const data = this.encodeUTF8(text.replace(/[\r\n]+/g, ' ')) + '\n';
+            session.output.write(data, data.length);
+        } catch (e) {
+            this.log(`✗ Error writing to session #${session.id}: ${e}`, 'error');
+            this.closeSession(session);
+        }
+    },
+
+    closeSession: function (session) {
+        if (session.closed) return;
+        session.closed = true;
+        this.sessions.delete(session);
+        if (this.helperSession === session) {
+            this.helperSession = null;
+            this.log('Helper session ended.');
+        }
+        for (const callback of session.pendingReplies.splice(0)) {
+            try {
+                callback('ERR', 'session-closed');
+            } catch (e) {
+                this.log(`Error failing a pending reply on session #${session.id}: ${e}`, 'debug');
+            }
+        }
+        if (session.authTimer) {
+            clearTimeout(session.authTimer);
+            session.authTimer = null;
+        }
+        try {
+            if (session.output) session.output.close();
+            if (session.input) session.input.close();
+            session.transport.close(Components.results.NS_OK);
+        } catch (e) {
+            this.log(`⚠️ Error closing session #${session.id}: ${e}`, 'warn');
+        }
+        this.log(`✓ Session #${session.id} closed.`, 'debug');
+    },
+
+    // The helper keeps one session open for the plugin's pushes (STATE, ...).
+    registerHelperSession: function (session, info) {
+        if (this.helperSession && this.helperSession !== session) {
+            this.log(`Replacing helper session #${this.helperSession.id} with #${session.id}.`);
+            this.closeSession(this.helperSession);
+        }
+        session.role = 'helper';
+        this.helperSession = session;
+        this.helperInfo = info;
+        this.helperProblem = null;
+        this.helperLastSeen = Date.now();
+        this.logHelperInfo(info);
+        this.log(`✓ Helper session #${session.id} registered.`, 'debug');
+
+        // Such a helper never sends HOTKEYSTATUS.
+        if (!info.hotkeys && this.helperHotkeys.length) {
+            this.setHotkeyStatus({ registered: [], taken: [], invalid: [], unsupported: this.helperHotkeys.map(binding => this.formatHotkey(binding)) });
+        }
+
+        this.lastTrayState = null;
+        this.lastTrayMenu = null;
+        this.updateTrayState({ immediate: true });
+    },
+
+    // The helper introduces itself as
+    //   HELLO 1 helper version=<v> build=<release|source> features=<a,b,...> hotkeys=<n>
+    // Helpers from before this handshake send no fields at all.
+    parseHelperInfo: function (fields) {
+        const values = {};
+        for (const field of fields) {
+            const separator = field.indexOf('=');
+            if (separator > 0) {
+                values[field.substring(0, separator)] = field.substring(separator + 1);
+            }
+        }
+        return {
+            version: values.version || null,
+            build: values.build || 'unknown',
+            features: values.features ? values.features.split(',').filter(Boolean) : [],
+            hotkeys: parseInt(values.hotkeys, 10) || 0,
+        };
+    },
+
+    checkHelperCompatibility: function (info) {
+        if (!info.version) {
+            return 'the helper does not report its version (it predates this plugin version)';
+        }
+        if (Services.vc.compare(info.version, this.minHelperVersion) < 0) {
+            return `helper version ${info.version} is older than the required ${this.minHelperVersion}`;
+        }
+        return null;
+    },
+
+    // An incompatible helper is turned away. If it is the one we launched,
+    // it is killed, so the relaunch policy replaces it (or gives up).
+    refuseHelper: function (session, problem) {
+        this.log(`✗ Refusing helper: ${problem}.`, 'error');
+        this.helperProblem = problem;
+        this.rejectSession(session, 'incompatible-helper');
+        if (this.helperProcess) {
+            try {
+                this.helperProcess.kill();
+            } catch (e) {
+                this.log(`✗ Could not kill the incompatible helper: ${e}`, 'error');
+            }
+        }
+    },
+
+    logHelperInfo: function (info) {
+        this.log(`Helper ${info.version} (${info.build} build), features: ${info.features.join(', ') || 'none'}, hotkeys: ${info.hotkeys}.`);
+        if (info.build !== 'release') {
+            this.log(`ℹ️ The tray helper is a user-built copy (build "${info.build}"), not the one from an official release.`);
+        }
+        const bindings = this.getHotkeyBindings();
+        if (bindings.length > info.hotkeys) {
+            this.log(info.hotkeys
+                ? `⚠️ ${bindings.length} hotkeys are configured, but this helper can only register ${info.hotkeys}.`
+                : '⚠️ A hotkey is configured, but this helper cannot register global hotkeys.', 'warn');
+        }
+    },
+
+    helperSupports: function (feature) {
+        return !!this.helperInfo && this.helperInfo.features.includes(feature);
+    },
+
+    pushToHelper: function (line, callback = null) {
+        const session = this.helperSession;
+        if (!session || session.closed) {
+            if (callback) callback('ERR', 'no-helper');
+            return false;
+        }
+        session.pendingReplies.push(callback || (() => { }));
+        this.sendLine(session, line);
+        return true;
+    },
+
+    handleReply: function (session, status, detail) {
+        const callback = session.pendingReplies.shift();
+        if (!callback) {
+            this.log(`⚠️ Unexpected reply on session #${session.id}: ${status} ${detail}`, 'warn');
+            return;
+        }
+        if (status === 'ERR') {
+            this.log(`⚠️ Session #${session.id} answered ERR ${detail}`, 'warn');
+        }
+        try {
+            callback(status, detail);
+        } catch (e) {
+            this.log(`✗ Error in reply handler: ${e}`, 'error');
+        }
+    },
+
+    // Reasons are a single token so clients can match on them.
+    formatReason: function (e) {
+        const text = String((e && e.message) || e || 'error');
+        return text.replace(/\s+/g, '-').substring(0, 80);
+    },
+
+    encodeUTF8: function (text) {
+        return unescape(encodeURIComponent(text));
+    },
+
+    decodeUTF8: function (bytes) {
+        try {
+            return decodeURIComponent(escape(bytes));
+        } catch (e) {
+            return bytes;
+        }
+    },
+
+    getMainWindowHandle: function () {
+        if (!this.backend || !this.mainWindow) return false;
+        return !!this.backend.acquireHandle(this.mainWindow, { allowFallback: true });
+    },
+
+    setupDualInterceptForExistingWindows: function () {
+        this.log("🔥 Setting up DUAL INTERCEPT for existing windows...", 'debug');
+        let mainWindows = Zotero.getMainWindows();
+        for (let window of mainWindows) {
+            this.lockWindow(window);
+        }
+        if (mainWindows.length > 0) {
+            this.mainWindow = mainWindows[0];
+            // Only try to get handle if we have a valid Zotero window
+            if (this.mainWindow) {
+                this.getMainWindowHandle();
+            }
+            this.log(`✓ DUAL INTERCEPT set up for ${mainWindows.length} Zotero windows`, 'debug');
+        } else {
+            this.log("No existing Zotero windows found, will wait for onMainWindowLoad", 'debug');
+        }
+    },
+
+    lockWindow: function (window) {
+        if (!window || this.lockedWindows.has(window)) return;
+        this.log("🔒 Locking window: " + window.location.href, 'debug');
+
+        try {
+            let self = this;
+
+            // Minimize Handler (Keep this!). It also remembers the state the
+            // window was in before being minimized, see captureGeometry.
+            this.restoreStates.set(window, window.windowState);
+            let minimizeHandler = function (event) {
+                if (window.windowState !== window.STATE_MINIMIZED) {
+                    self.restoreStates.set(window, window.windowState);
+                }
+                if (window.windowState === 2 && self.isTrayBehaviorEnabled('minimizeToTray')) { // 2 = STATE_MINIMIZED
+                    // Without a working tray icon, hiding would leave no way back.
+                    if (!self.trayReady || !self.helperSession) {
+                        self.log("⚠️ Tray icon is not available, leaving the window minimized.", 'warn');
+                        return;
                     }
+                    self.log("🔥🔥 MINIMIZE EVENT detected! Hiding window to tray (delayed).", 'debug');
+                    // Delay to let Windows finish the minimize animation/state change
+                    setTimeout(() => {
+                        self.hideMainWindow();
+                    }, 200);
                 }
+            };
+
+            // Close Handler. 'close' only fires for the user closing the window
+            // (X button, Alt+F4, taskbar), not for File > Quit.
+            let closeHandler = function (event) {
+                self.onWindowClosing(event, window);
+            };
+
+            window.addEventListener("sizemodechange", minimizeHandler, false);
+            window.addEventListener("close", closeHandler, false);
+
+            this.lockedWindows.set(window, { minimizeHandler, closeHandler });
+            this.log("✓ Window locked with Dual intercept (Minimize + Close)", 'debug');
+        } catch (e) {
+            this.log("✗ Failed to lock window: " + e, 'error');
+        }
+    },
+
+    unlockWindow: function (window) {
+        if (!window || !this.lockedWindows.has(window)) return;
+        try {
+            this.log("🔓 Unlocking window: " + window.location.href, 'debug');
+            let lockInfo = this.lockedWindows.get(window);
+
+            if (lockInfo.minimizeHandler) {
+                window.removeEventListener("sizemodechange", lockInfo.minimizeHandler, false);
+            }
+            if (lockInfo.closeHandler) {
+                window.removeEventListener("close", lockInfo.closeHandler, false);
+            }
+
+            this.lockedWindows.delete(window);
+            this.log("✓ Window unlocked", 'debug');
+        } catch (e) {
+            this.log("✗ Failed to unlock window: " + e, 'error');
+        }
+    },
+
+    // Shows the window if it is hidden or minimized, otherwise just raises it.
+    revealMainWindow: function () {
+        if (!this.getMainWindowHandle()) return false;
+        if (this.isWindowHidden || this.backend.isMinimized(this.mainWindow)) {
+            this.showMainWindow({ forceRestore: !this.isWindowHidden });
+        } else {
+            this.bringToFront();
+        }
+        return true;
+    },
+
+    // Menu items the plugin sends to the helper. Each id comes back as ACTION <id>.
+    buildTrayMenu: function () {
+        const recent = this.recentItems.map(item => ({
+            id: `select:${item.libraryID}/${item.key}`,
+            label: item.title,
+        }));
+        const extra = [...this.extraMenuItems].map(([id, item]) => ({
+            id: `extra:${id}`,
+            label: item.label,
+            checked: item.checked,
+            disabled: item.disabled,
+        }));
+        return [
+            { id: 'toggle', label: 'Show/Hide', default: true },
+            { id: 'toggle', label: 'Hidden in Tray', checked: this.isWindowHidden },
+            { separator: true },
+            { id: 'sync', label: this.syncState === 'syncing' ? 'Syncing…' : 'Sync Now', disabled: this.syncState === 'syncing' },
+            { id: 'newFromClipboard', label: 'New Item from Clipboard Identifier' },
+            {
+                label: 'Recently Modified Items',
+                items: recent.length ? recent : [{ id: 'none', label: '(No items)', disabled: true }],
+            },
+            { separator: true },
+            { id: 'openLibrary', label: 'Open Library' },
+            { id: 'openPublications', label: 'Open My Publications' },
+            { id: 'preferences', label: 'Preferences…' },
+            ...(extra.length ? [{ separator: true }, ...extra] : []),
+            { separator: true },
+            { id: 'quit', label: 'Quit Zotero' },
+        ];
+    },
+
+    handleTrayAction: function (action) {
+        this.log(`🖱️ Tray action: ${action}`, 'debug');
+
+        if (action.startsWith('select:')) {
+            const [libraryID, key] = action.substring(7).split('/');
+            this.runAsyncAction(action, () => this.selectItemByKey(Number(libraryID), key));
+            return true;
+        }
+
+        if (action.startsWith('extra:')) {
+            const item = this.extraMenuItems.get(action.substring(6));
+            if (!item) return false;
+            this.runAsyncAction(action, () => item.onCommand());
+            return true;
+        }
+
+        switch (action) {
+            case 'toggle':
+                this.handleTrayClick();
+                return true;
+
+            case 'show':
+                this.revealMainWindow();
+                return true;
+
+            case 'hide':
+                if (!this.isWindowHidden) this.hideMainWindow();
+                return true;
+
+            case 'search':
+                this.runAsyncAction(action, () => {
+                    const pane = this.getZoteroPane();
+                    const search = pane && pane.document.getElementById('zotero-tb-search');
+                    if (search) search.focus();
+                });
+                return true;
+
+            case 'newNote':
+                this.runAsyncAction(action, async () => {
+                    const pane = this.getZoteroPane();
+                    if (pane) await pane.newNote(false);
+                });
+                return true;
+
+            case 'sync':
+                this.runAsyncAction(action, () => Zotero.Sync.Runner.sync());
+                return true;
+
+            case 'newFromClipboard':
+                this.runAsyncAction(action, () => this.addItemFromClipboardIdentifier());
+                return true;
+
+            case 'openLibrary':
+                this.runAsyncAction(action, async () => {
+                    const pane = this.getZoteroPane();
+                    if (pane) await pane.collectionsView.selectLibrary(Zotero.Libraries.userLibraryID);
+                });
+                return true;
+
+            case 'openPublications':
+                this.runAsyncAction(action, async () => {
+                    const pane = this.getZoteroPane();
+                    if (pane) await pane.collectionsView.selectByID('P' + Zotero.Libraries.userLibraryID);
+                });
+                return true;
+
+            case 'preferences':
+                Zotero.Utilities.Internal.openPreferences();
+                return true;
+
+            case 'quit':
+                this.quitZotero();
+                return true;
+
+            default:
+                return false;
+        }
+    },
+
+    runAsyncAction: function (action, callback) {
+        Promise.resolve()
+            .then(callback)
+            .catch((e) => {
+                this.log(`✗ Tray action ${action} failed: ${e}`, 'error');
+                Zotero.logError(e);
+            });
+    },
+
+    // Reveals the window first; actions that touch the UI need it visible.
+    getZoteroPane: function () {
+        this.revealMainWindow();
+        const pane = Zotero.getActiveZoteroPane();
+        if (!pane) {
+            this.log("✗ No Zotero pane available.", 'error');
+        }
+        return pane;
+    },
+
+    selectItemByKey: async function (libraryID, key) {
+        const item = await Zotero.Items.getByLibraryAndKeyAsync(libraryID, key);
+        if (!item) {
+            this.log(`✗ Item ${libraryID}/${key} no longer exists.`, 'error');
+            return;
+        }
+        const pane = this.getZoteroPane();
+        if (pane) await pane.selectItem(item.id);
+    },
+
+    addItemFromClipboardIdentifier: async function () {
+        const text = Zotero.Utilities.Internal.getClipboard('text/unicode') || '';
+        const identifiers = Zotero.Utilities.extractIdentifiers(text);
+        if (!identifiers.length) {
+            this.notifyUser('No identifier found', 'The clipboard does not contain a DOI, ISBN, PubMed ID or arXiv ID.');
+            return;
+        }
+
+        const pane = this.getZoteroPane();
+        if (!pane) return;
+        if (!pane.canEdit()) {
+            this.notifyUser('Cannot add items', 'The selected library is read-only.');
+            return;
+        }
+        const libraryID = pane.getSelectedLibraryID();
+        const collection = pane.getSelectedCollection();
+
+        for (const identifier of identifiers) {
+            const translate = new Zotero.Translate.Search();
+            translate.setIdentifier(identifier);
+            const translators = await translate.getTranslators();
+            if (!translators.length) {
+                this.log(`✗ No translator found for identifier ${JSON.stringify(identifier)}`, 'error');
+                continue;
             }
+            translate.setTranslator(translators);
+            const items = await translate.translate({
+                libraryID,
+                collections: collection ? [collection.id] : false,
+            });
+            if (items.length) {
+                await pane.selectItem(items[0].id);
+            }
+        }
+    },
+
+    // Goes through Zotero's normal quit path, so it works while hidden too.
+    quitZotero: function () {
+        this.log("Quit requested from the tray.");
+        Zotero.Utilities.Internal.quit();
+    },
+
+    refreshRecentItems: async function () {
+        try {
+            // Feed items are regular items too, and would crowd out the library.
+            const ids = await Zotero.DB.columnQueryAsync(
+                "SELECT itemID FROM items JOIN libraries USING (libraryID) "
+                + "WHERE libraries.type != 'feed' "
+                + "AND itemID NOT IN (SELECT itemID FROM deletedItems) "
+                + "ORDER BY clientDateModified DESC LIMIT ?",
+                [this.recentItemsLimit * 3]
+            );
+            const items = (await Zotero.Items.getAsync(ids || []))
+                .filter(item => item.isRegularItem())
+                .slice(0, this.recentItemsLimit);
+            this.recentItems = items.map(item => ({
+                libraryID: item.libraryID,
+                key: item.key,
+                title: item.getDisplayTitle() || '(Untitled)',
+            }));
+            this.updateTrayState();
         } catch (e) {
-            this.log(`❌ Error during window finding: ${e}`);
+            this.log(`✗ Error loading recently modified items: ${e}`, 'error');
         }
-        return false;
     },
 
+    scheduleRecentItemsRefresh: function () {
+        if (this.recentItemsTimer) clearTimeout(this.recentItemsTimer);
+        this.recentItemsTimer = setTimeout(() => {
+            this.recentItemsTimer = null;
+            this.refreshRecentItems();
+        }, 1000);
+    },
 
+    onMainWindowLoad: function (window) {
+        this.log("🔥 Main window loaded: " + window.location.href, 'debug');
+        this.lockWindow(window);
 
-    setupDualInterceptForExistingWindows: function () {
-        this.log("🔥 Setting up DUAL INTERCEPT for existing windows...");
-        let mainWindows = Zotero.getMainWindows();
-        for (let window of mainWindows) {
-            this.lockWindow(window);
+        // Additional main windows join the group; the first one stays the main window.
+        if (this.mainWindow && !this.mainWindow.closed) {
+            return;
         }
-        if (mainWindows.length > 0) {
-            this.mainWindow = mainWindows[0];
-            // Only try to get handle if we have a valid Zotero window
+        this.mainWindow = window;
+
+        // Try to get window handle immediately
+        if (!this.getMainWindowHandle()) {
+            this.log("⏳ Initial handle acquisition failed, will retry...", 'debug');
+            // Retry after a short delay to ensure window is fully ready
+            setTimeout(() => {
+                if (!this.getMainWindowHandle()) {
+                    this.log("⚠️ Second attempt to get window handle failed", 'warn');
+                    // Try one more time after document is fully loaded
+                    if (window.document.readyState !== 'complete') {
+                        window.addEventListener('load', () => {
+                            setTimeout(() => {
+                                this.getMainWindowHandle();
+                            }, 100);
+                        }, { once: true });
+                    }
+                }
+            }, 500);
+        }
+    },
+
+    onMainWindowUnload: function (window) {
+        this.unlockWindow(window);
+        this.hiddenWindows.delete(window);
+        if (this.backend) this.backend.forgetWindow(window);
+
+        if (this.mainWindow === window) {
+            // Hand the role over to another open main window, if there is one.
+            const remaining = Zotero.getMainWindows().filter(win => win !== window && !win.closed);
+            this.mainWindow = remaining.length ? remaining[0] : null;
             if (this.mainWindow) {
+                this.log("Main window closed, switching to another open main window.");
                 this.getMainWindowHandle();
             }
-            this.log(`✓ DUAL INTERCEPT set up for ${mainWindows.length} Zotero windows`);
-        } else {
-            this.log("No existing Zotero windows found, will wait for onMainWindowLoad");
         }
     },
 
-    lockWindow: function (window) {
-        if (!window || this.lockedWindows.has(window)) return;
-        this.log("🔒 Locking window: " + window.location.href);
-
-        try {
-            let self = this;
-
-            // Minimize Handler (Keep this!)
-            let minimizeHandler = function (event) {
-                if (window.windowState === 2) { // 2 = STATE_MINIMIZED
-                    self.log("🔥🔥 MINIMIZE EVENT detected! Hiding window to tray (delayed).");
-                    // Delay to let Windows finish the minimize animation/state change
-                    setTimeout(() => {
-                        self.hideMainWindow();
-                    }, 200);
-                }
-            };
-
-            // ONLY intercept minimize (sizemodechange). Let 'close' happen naturally.
-            window.addEventListener("sizemodechange", minimizeHandler, false);
+    isTrayBehaviorEnabled: function (name) {
+        return !!Zotero.Prefs.get(`extensions.zotero-in-tray.behavior.${name}`, true);
+    },
 
-            this.lockedWindows.set(window, { minimizeHandler });
-            this.log("✓ Window locked with Single intercept (Minimize Only)");
-        } catch (e) {
-            this.log("✗ Failed to lock window: " + e);
+    onWindowClosing: function (event, window) {
+        if (this.isActuallyQuitting || this.isShuttingDown) {
+            this.log("Window closing as part of quitting, letting it close.", 'debug');
+            return;
+        }
+        if (!this.isTrayBehaviorEnabled('closeToTray')) {
+            return;
+        }
+        // Closing one of several main windows just closes that window.
+        const otherMainWindows = Zotero.getMainWindows().filter(win => win !== window && !win.closed);
+        if (otherMainWindows.length) {
+            return;
+        }
+        // Without a working tray icon, hiding would leave no way back.
+        if (!this.trayReady || !this.helperSession) {
+            this.log("⚠️ Tray icon is not available, letting the window close.", 'warn');
+            return;
         }
+
+        event.preventDefault();
+        this.log("🔥🔥 CLOSE EVENT intercepted! Hiding window to tray.");
+        this.showCloseNotice(window);
+        this.hideMainWindow();
     },
 
-    unlockWindow: function (window) {
-        if (!window || !this.lockedWindows.has(window)) return;
+    // Shown the first time the window goes to the tray instead of closing,
+    // until the user ticks "Don't show this again".
+    showCloseNotice: function (window) {
+        if (!this.isTrayBehaviorEnabled('showCloseNotice')) return;
         try {
-            this.log("🔓 Unlocking window: " + window.location.href);
-            let lockInfo = this.lockedWindows.get(window);
-
-            if (lockInfo.minimizeHandler) {
-                window.removeEventListener("sizemodechange", lockInfo.minimizeHandler, false);
+            const dontShowAgain = { value: false };
+            Services.prompt.alertCheck(
+                window,
+                'Zotero is still running',
+                'Zotero is still running in the tray. Click the tray icon to bring it back, or choose "Quit Zotero" from the tray menu to exit.',
+                "Don't show this again",
+                dontShowAgain
+            );
+            if (dontShowAgain.value) {
+                Zotero.Prefs.set('extensions.zotero-in-tray.behavior.showCloseNotice', false, true);
             }
-            // No close handler to remove anymore
-
-            this.lockedWindows.delete(window);
-            this.log("✓ Window unlocked");
         } catch (e) {
-            this.log("✗ Failed to unlock window: " + e);
+            this.log(`⚠️ Could not show close notice: ${e}`, 'warn');
         }
     },
 
-    onWindowClosing: function () {
-        this.hideMainWindow();
-    },
-
     handleTrayClick: function () {
-        this.log('🖱️ Tray icon/hotkey handled.');
+        this.log('🖱️ Tray icon/hotkey handled.', 'debug');
         try {
             if (!this.getMainWindowHandle()) {
-                this.log("✗ Could not get main window handle for tray click.");
+                this.log("✗ Could not get main window handle for tray click.", 'error');
                 return;
             }
 
-            const isVisible = this.user32.IsWindowVisible(this.mainWindowHandle);
-            const isIconic = this.user32.IsIconic(this.mainWindowHandle);
-            const isForeground = this.user32.GetForegroundWindow().toString() === this.mainWindowHandle.toString();
+            const isVisible = this.backend.isVisible(this.mainWindow);
+            const isIconic = this.backend.isMinimized(this.mainWindow);
+            const isForeground = this.backend.isForeground(this.mainWindow);
 
-            this.log(`Window state: isVisible=${isVisible}, isIconic=${isIconic}, isForeground=${isForeground}`);
+            this.log(`Window state: isVisible=${isVisible}, isIconic=${isIconic}, isForeground=${isForeground}`, 'debug');
 
             if (isIconic) {
                 // Case 1: Window is minimized to the taskbar. Restore it intelligently.
-                this.log("🔄 Window is minimized, restoring...");
+                this.log("🔄 Window is minimized, restoring...", 'debug');
                 this.showMainWindow({ forceRestore: true });
             } else if (!isVisible) {
                 // Case 2: Window was hidden by us. Restore using the saved state.
-                this.log("🔄 Window is hidden by plugin, showing...");
+                this.log("🔄 Window is hidden by plugin, showing...", 'debug');
                 this.showMainWindow({ forceRestore: false });
             } else {
                 // Case 3: Window is visible and not minimized.
                 if (isForeground) {
                     // Subcase 3a: It's in the foreground. Hide it.
-                    this.log("🔄 Window is visible and foreground, hiding...");
+                    this.log("🔄 Window is visible and foreground, hiding...", 'debug');
                     this.hideMainWindow();
                 } else {
                     // Subcase 3b: It's in the background. Bring it to the front.
-                    this.log("🔄 Window is visible but background, bringing to front...");
+                    this.log("🔄 Window is visible but background, bringing to front...", 'debug');
                     this.bringToFront();
                 }
             }
         } catch (e) {
-            this.log(`✗ Error in handleTrayClick: ${e}`);
+            this.log(`✗ Error in handleTrayClick: ${e}`, 'error');
         }
     },
 
+    // Every visible Zotero window (main, reader, note) is hidden together and
+    // remembered, so the whole group comes back on show.
     hideMainWindow: function () {
         if (!this.getMainWindowHandle()) return;
+        const wasHidden = this.isWindowHidden;
         try {
-            // This is the crucial part: we check and save the maximized state
-            // *right before* we hide the window.
-            this.windowWasMaximized = this.user32.IsZoomed(this.mainWindowHandle);
-            this.log(`Hiding main window. Maximized state saved: ${this.windowWasMaximized}`);
-            this.user32.ShowWindow(this.mainWindowHandle, this.constants.SW_HIDE);
+            const others = this.getManagedWindows().filter(win => win !== this.mainWindow);
+            for (const win of [this.mainWindow, ...others]) {
+                if (!this.backend.isVisible(win)) continue;
+
+                // This is the crucial part: we check and save the state
+                // *right before* we hide the window.
+                this.hiddenWindows.set(win, this.backend.saveGeometry(win));
+                if (win === this.mainWindow && !(this.startupHidePending && this.mainWindowGeometry)) {
+                    // An auto-hidden startup keeps the geometry from the last
+                    // session instead of wherever the new window was created.
+                    this.mainWindowGeometry = this.captureGeometry(win, this.mainWindowGeometry);
+                }
+                this.backend.hide(win);
+            }
+
+            this.saveWindowGeometry();
+            this.log(`Hid ${this.hiddenWindows.size} window(s). Main window geometry saved: ${JSON.stringify(this.mainWindowGeometry)}`);
             this.isWindowHidden = true;
+            this.updateTrayState();
+            if (!wasHidden) this.notifyObservers(this.apiTopics.hidden);
         } catch (e) {
-            this.log("✗ Error hiding main window: " + e);
+            this.log("✗ Error hiding main window: " + e, 'error');
         }
     },
 
-    bringToFront: function () {
-        if (!this.getMainWindowHandle()) {
-            this.log('✗ No main window handle to bring to front.');
-            return;
+    // Position and size only mean something in the normal state: maximized and
+    // full screen windows report the whole screen, and Windows parks minimized
+    // ones far off-screen. Those keep the bounds from the last normal state.
+    captureGeometry: function (win, previous = null) {
+        const geometry = {
+            ...this.backend.saveGeometry(win),
+            bounds: previous ? previous.bounds : null,
+            screen: previous ? previous.screen : null,
+        };
+        if (geometry.minimized) {
+            // A minimized window doesn't report whether it was maximized
+            // (IsZoomed is false), so use the state it had before.
+            const state = this.restoreStates.get(win);
+            if (state !== undefined) {
+                geometry.maximized = state === win.STATE_MAXIMIZED;
+                geometry.fullscreen = state === win.STATE_FULLSCREEN;
+            } else if (previous) {
+                geometry.maximized = previous.maximized;
+                geometry.fullscreen = previous.fullscreen;
+            }
+        } else {
+            geometry.screen = this.getScreenRect(win);
+        }
+        if (!geometry.maximized && !geometry.minimized && !geometry.fullscreen) {
+            geometry.bounds = { x: win.screenX, y: win.screenY, width: win.outerWidth, height: win.outerHeight };
         }
+        return geometry;
+    },
 
-        try {
-            this.log('🖥️ Bringing window to front without changing state...');
+    // The available area (without taskbars) of the screen the window is on.
+    getScreenRect: function (win) {
+        const { availLeft, availTop, availWidth, availHeight } = win.screen;
+        return { x: availLeft, y: availTop, width: availWidth, height: availHeight };
+    },
 
-            const hForegroundWnd = this.user32.GetForegroundWindow();
-            const dwCurrentThreadId = this.kernel32.GetCurrentThreadId();
-            const dwForegroundThreadId = this.user32.GetWindowThreadProcessId(hForegroundWnd, null);
+    saveWindowGeometry: function () {
+        if (!this.mainWindowGeometry) return;
+        try {
+            Zotero.Prefs.set(this.geometryPref, JSON.stringify(this.mainWindowGeometry), true);
+        } catch (e) {
+            this.log(`⚠️ Could not save the window geometry: ${e}`, 'warn');
+        }
+    },
 
-            this.user32.AttachThreadInput(dwCurrentThreadId, dwForegroundThreadId, true);
+    loadWindowGeometry: function () {
+        const value = Zotero.Prefs.get(this.geometryPref, true);
+        if (!value) return null;
+        try {
+            const geometry = JSON.parse(value);
+            if (geometry && typeof geometry === 'object') return geometry;
+        } catch (e) {
+            // Falls through to the warning
+        }
+        this.log(`⚠️ Ignoring invalid saved window geometry: ${value}`, 'warn');
+        return null;
+    },
 
-            // Just set it as foreground. Don't use ShowWindow, as that could
-            // change the maximized/restored state incorrectly.
-            this.user32.SetForegroundWindow(this.mainWindowHandle);
+    // Screens are looked up again on every show, so a window whose monitor is
+    // gone lands on the screen it overlaps most, or on the primary one.
+    fitToScreen: function (bounds) {
+        const screenManager = this.Cc['@mozilla.org/gfx/screenmanager;1'].getService(this.Ci.nsIScreenManager);
+        const screen = screenManager.screenForRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        const left = {}, top = {}, width = {}, height = {};
+        screen.GetAvailRectDisplayPix(left, top, width, height);
+        const area = { x: left.value, y: top.value, width: width.value, height: height.value };
+
+        // Partly off-screen is fine as long as the title bar can still be grabbed.
+        const visibleWidth = Math.min(bounds.x + bounds.width, area.x + area.width) - Math.max(bounds.x, area.x);
+        const titleVisible = bounds.y >= area.y && bounds.y < area.y + area.height - this.minVisibleTitle;
+        if (visibleWidth >= this.minVisibleTitle && titleVisible) return bounds;
+
+        const fitted = { width: Math.min(bounds.width, area.width), height: Math.min(bounds.height, area.height) };
+        fitted.x = Math.min(Math.max(bounds.x, area.x), area.x + area.width - fitted.width);
+        fitted.y = Math.min(Math.max(bounds.y, area.y), area.y + area.height - fitted.height);
+        return fitted;
+    },
 
-            this.user32.AttachThreadInput(dwCurrentThreadId, dwForegroundThreadId, false);
+    // A maximized window is maximized on the screen its normal bounds are
+    // on, so for one of those the bounds are moved onto the saved screen
+    // first. A window that is already maximized on the right screen is left
+    // alone; otherwise it is restored to the normal state so it can be moved,
+    // and the backend maximizes it again when showing it. Minimized windows
+    // are restored by the backend, and keepOnScreen checks them afterwards.
+    restoreBounds: function (win, geometry) {
+        if (!geometry || win.windowState === win.STATE_MINIMIZED) return;
+        let bounds = geometry.bounds;
+        const screen = geometry.screen;
+        if (screen && (!bounds || ((geometry.maximized || geometry.fullscreen) && !this.isOnScreen(bounds, screen)))) {
+            bounds = {
+                x: screen.x,
+                y: screen.y,
+                width: bounds ? bounds.width : screen.width,
+                height: bounds ? bounds.height : screen.height,
+            };
+        }
+        if (!bounds) return;
+        try {
+            const target = this.fitToScreen(bounds);
+            if (win.windowState !== win.STATE_NORMAL) {
+                if ((geometry.maximized || geometry.fullscreen) && this.isOnScreen(target, this.getScreenRect(win))) return;
+                if (win.fullScreen) {
+                    win.fullScreen = false;
+                } else {
+                    win.restore();
+                }
+            }
+            this.moveWindow(win, target);
+        } catch (e) {
+            this.log(`⚠️ Could not restore the window position: ${e}`, 'warn');
+        }
+    },
 
-            this.log('✓ Main window brought to front.');
+    // Catches windows that come back from the minimized state onto a screen
+    // that is no longer there.
+    keepOnScreen: function (win) {
+        if (win.windowState !== win.STATE_NORMAL) return;
+        try {
+            const bounds = { x: win.screenX, y: win.screenY, width: win.outerWidth, height: win.outerHeight };
+            const fitted = this.fitToScreen(bounds);
+            if (fitted !== bounds) this.moveWindow(win, fitted);
         } catch (e) {
-            this.log(`✗ Error bringing window to front: ${e}`);
+            this.log(`⚠️ Could not move the window onto a screen: ${e}`, 'warn');
         }
     },
 
-    showMainWindow: function ({ forceRestore = false } = {}) {
+    isOnScreen: function (bounds, screen) {
+        const x = bounds.x + bounds.width / 2;
+        const y = bounds.y + bounds.height / 2;
+        return x >= screen.x && x < screen.x + screen.width && y >= screen.y && y < screen.y + screen.height;
+    },
+
+    moveWindow: function (win, bounds) {
+        this.log(`Moving window to ${bounds.width}x${bounds.height} at ${bounds.x},${bounds.y}`, 'debug');
+        win.moveTo(bounds.x, bounds.y);
+        win.resizeTo(bounds.width, bounds.height);
+    },
+
+    getManagedWindows: function () {
+        const windows = [];
+        for (const win of Services.wm.getEnumerator(null)) {
+            if (win.closed) continue;
+            const type = win.document.documentElement.getAttribute('windowtype');
+            if (this.managedWindowTypes.includes(type)) {
+                windows.push(win);
+            }
+        }
+        return windows;
+    },
+
+    // Windows other than the main one come back first and without taking
+    // focus, so the main window ends up in front.
+    showSecondaryWindows: function () {
+        for (const [win, saved] of this.hiddenWindows) {
+            if (win === this.mainWindow || win.closed) continue;
+            this.backend.show(win, saved);
+        }
+    },
+
+    bringToFront: function () {
         if (!this.getMainWindowHandle()) {
-            this.log('✗ No main window handle to show.');
+            this.log('✗ No main window handle to bring to front.', 'error');
             return;
         }
 
         try {
-            // If restoring from a minimized state (isIconic was true), we must use SW_RESTORE.
-            // SW_RESTORE correctly restores a window to its previous state (maximized or normal).
-            // Otherwise, restore based on the last saved value when we hid the window.
-            const state = (forceRestore || !this.windowWasMaximized)
-                ? this.constants.SW_RESTORE
-                : this.constants.SW_MAXIMIZE;
-
-            const stateName = state === this.constants.SW_MAXIMIZE ? 'Maximize' : 'Restore';
-            this.log(`🖥️ Activating main window. ForceRestore=${forceRestore}. Final State: ${stateName} (${state})`);
-
-            const hForegroundWnd = this.user32.GetForegroundWindow();
-            const dwForegroundThreadId = this.user32.GetWindowThreadProcessId(hForegroundWnd, null);
-            const dwCurrentThreadId = this.kernel32.GetCurrentThreadId();
-
-            // Attach our thread's input processing to the foreground window's thread
-            this.user32.AttachThreadInput(dwCurrentThreadId, dwForegroundThreadId, true);
+            this.log('🖥️ Bringing window to front without changing state...', 'debug');
+            this.backend.bringToFront(this.mainWindow);
+            this.log('✓ Main window brought to front.', 'debug');
+        } catch (e) {
+            this.log(`✗ Error bringing window to front: ${e}`, 'error');
+        }
+    },
 
-            // Show the window in its correct state (maximized or restored)
-            this.user32.ShowWindow(this.mainWindowHandle, state);
-            this.user32.SetForegroundWindow(this.mainWindowHandle);
+    showMainWindow: function ({ forceRestore = false } = {}) {
+        if (!this.getMainWindowHandle()) {
+            this.log('✗ No main window handle to show.', 'error');
+            return;
+        }
 
-            // Detach the thread input
-            this.user32.AttachThreadInput(dwCurrentThreadId, dwForegroundThreadId, false);
+        const wasHidden = this.isWindowHidden;
+        try {
+            this.showSecondaryWindows();
+
+            // If restoring from a minimized state, the window goes back to its
+            // previous state. Otherwise, restore based on the last saved value
+            // when we hid the window.
+            const geometry = this.mainWindowGeometry;
+            const saved = { maximized: !!geometry && geometry.maximized, minimized: false };
+            if (wasHidden) this.restoreBounds(this.mainWindow, geometry);
+            this.backend.show(this.mainWindow, saved, { activate: true, forceRestore });
+            if (wasHidden && geometry && geometry.fullscreen && !this.mainWindow.fullScreen) {
+                this.mainWindow.fullScreen = true;
+            }
+            this.keepOnScreen(this.mainWindow);
 
+            this.hiddenWindows.clear();
             this.isWindowHidden = false;
+            this.updateTrayState();
             this.log('✓ Main window shown.');
+            if (wasHidden) this.notifyObservers(this.apiTopics.shown);
 
         } catch (e) {
-            this.log(`✗ Error showing main window: ${e}`);
+            this.log(`✗ Error showing main window: ${e}`, 'error');
         }
     },
 
@@ -710,38 +3145,29 @@ var ZoteroInTray = {
 
         this.isShuttingDown = true;
 
-        // Force Kill using wscript + silent_kill.vbs (NO FLASHBANG)
+        const process = this.helperProcess;
+        this.helperProcess = null;
         try {
-            const sysProcess = this.Cc["@mozilla.org/process/util;1"].createInstance(this.Ci.nsIProcess);
-            const sysFile = this.Cc["@mozilla.org/file/local;1"].createInstance(this.Ci.nsIFile);
-
-            if (this.vbsPath) {
-                // Use wscript.exe to run the VBS
-                sysFile.initWithPath("C:\\Windows\\System32\\wscript.exe");
-                sysProcess.init(sysFile);
-                const args = [this.vbsPath];
-                sysProcess.run(false, args, args.length);
-                this.log("✓ Executed silent_kill.vbs");
-            } else {
-                // Fallback to noisy taskkill if VBS missing
-                sysFile.initWithPath("C:\\Windows\\System32\\taskkill.exe");
-                sysProcess.init(sysFile);
-                const args = ["/F", "/IM", this.helperExeName];
-                sysProcess.run(false, args, args.length);
+            if (process && process.isRunning) {
+                // Ask the helper to exit on its own first, so it can take its tray icon down.
+                if (this.pushToHelper('QUIT')) {
+                    let timedOut = false;
+                    const timer = setTimeout(() => { timedOut = true; }, this.helperStopTimeout);
+                    Services.tm.spinEventLoopUntil('ZoteroInTray: waiting for the tray helper to exit',
+                        () => !process.isRunning || timedOut);
+                    clearTimeout(timer);
+                }
+                if (process.isRunning) {
+                    process.kill();
+                    this.log("✓ Helper process killed.");
+                } else {
+                    this.log("✓ Helper process exited.");
+                }
             }
         } catch (e) {
-            this.log("✗ Kill failed: " + e);
-        }
-
-        this.helperProcess = null;
-
-        if (this.helperPath) {
-            try {
-                // Wait briefly for lock release
-                const thread = this.Cc["@mozilla.org/thread-manager;1"].getService(this.Ci.nsIThreadManager).currentThread;
-                // thread.dispatch(() => { /* delayed delete? */ }, 0);
-            } catch (e) { }
+            this.log("✗ Stopping the helper failed: " + e, 'error');
         }
+        this.removeHelperLock();
     },
 
     cleanup: function () {
@@ -751,41 +3177,422 @@ var ZoteroInTray = {
         if (this.hidePollingInterval) {
             clearInterval(this.hidePollingInterval);
             this.hidePollingInterval = null;
-            this.log("✓ Polling interval cleared.");
+            this.log("✓ Polling interval cleared.", 'debug');
+        }
+        if (this.startupHideDeadline) {
+            clearTimeout(this.startupHideDeadline);
+            this.startupHideDeadline = null;
+        }
+        this.startupHidePending = false;
+
+        this.stopStateWatchers();
+        this.stopHeartbeat();
+        if (this.relaunchTimer) {
+            clearTimeout(this.relaunchTimer);
+            this.relaunchTimer = null;
         }
 
         if (this.prefPane) {
             Zotero.PreferencePanes.unregister(this.prefPane.paneID);
             this.prefPane = null;
-            this.log("✓ Preferences pane unregistered.");
+            this.log("✓ Preferences pane unregistered.", 'debug');
         }
 
-        if (this.prefObserver) {
-            Zotero.Prefs.unregisterObserver('extensions.zotero-in-tray.', this.prefObserver);
-            this.log("✓ Preference observer unregistered.");
+        if (this.quitObserver) {
+            Services.obs.removeObserver(this.quitObserver, 'quit-application-granted');
+            this.quitObserver = null;
         }
 
-        if (this.serverSocket) {
-            this.serverSocket.close();
-            this.log("✓ Server socket closed.");
+        if (this.prefObserver) {
+            Services.prefs.removeObserver(this.prefBranch, this.prefObserver);
+            this.prefObserver = null;
+            this.log("✓ Preference observer unregistered.", 'debug');
+        }
+        if (this.prefChangeTimer) {
+            clearTimeout(this.prefChangeTimer);
+            this.prefChangeTimer = null;
         }
 
+        // Before the sessions close, so the helper can still be asked to QUIT.
         this.cleanupHelper();
 
+        for (let session of this.sessions) {
+            this.closeSession(session);
+        }
+
+        this.stopServer();
+        this.removeSessionFile();
+        this.sessionToken = null;
+
         for (let window of this.lockedWindows.keys()) {
             this.unlockWindow(window);
         }
 
-        if (this.user32) this.user32.close();
-        if (this.kernel32) this.kernel32.close();
+        // Don't leave windows hidden with no tray icon to bring them back.
+        if (this.isWindowHidden && !this.isActuallyQuitting) {
+            this.showMainWindow({ forceRestore: false });
+        }
+        this.hiddenWindows.clear();
 
-        this.mainWindowHandle = null; // Clear handle on cleanup
+        if (this.backend) {
+            this.backend.close();
+            this.backend = null;
+        }
+
+        this.unregisterCommandLineHandler();
+        this.unregisterTrayURI();
+        this.unpublishAPI();
+        if (Zotero.ZoteroInTray === this) {
+            delete Zotero.ZoteroInTray;
+        }
 
         this.log("✓ Cleanup finished.");
+        this.closeLogFile();
+    },
+
+    startStateWatchers: function () {
+        try {
+            this.notifierID = Zotero.Notifier.registerObserver({
+                notify: (event, type, ids, extraData) => {
+                    if (type === 'feed' || type === 'feedItem') {
+                        this.scheduleUnreadCountRefresh();
+                    } else if (type === 'item') {
+                        this.scheduleRecentItemsRefresh();
+                        this.onItemEvent(event, ids);
+                    }
+                }
+            }, ['feed', 'feedItem', 'item'], 'zoteroInTray');
+            this.refreshUnreadCount();
+            this.refreshRecentItems();
+            this.log("✓ Notifier observer registered.", 'debug');
+        } catch (e) {
+            this.log(`✗ Could not register notifier observer: ${e}`, 'error');
+        }
+
+        // The sync runner reports its status to the UI through updateIcons():
+        // 'animate' while syncing, then the list of errors (empty on success).
+        try {
+            const runner = Zotero.Sync && Zotero.Sync.Runner;
+            if (runner && typeof runner.updateIcons === 'function' && !this.originalUpdateIcons) {
+                const original = runner.updateIcons;
+                const self = this;
+                this.originalUpdateIcons = original;
+                // Stays a plain pass-through once unhooked, in case another
+                // plugin wrapped it in the meantime and it can't be removed.
+                const hook = function (value) {
+                    if (self.syncStatusHook === hook) {
+                        try {
+                            self.onSyncStatus(value);
+                        } catch (e) {
+                            self.log(`✗ Error tracking sync status: ${e}`, 'error');
+                        }
+                    }
+                    return original.apply(this, arguments);
+                };
+                this.syncStatusHook = hook;
+                runner.updateIcons = hook;
+                this.log("✓ Sync status hook installed.", 'debug');
+            }
+        } catch (e) {
+            this.log(`✗ Could not hook sync status: ${e}`, 'error');
+        }
+    },
+
+    stopStateWatchers: function () {
+        if (this.notifierID) {
+            Zotero.Notifier.unregisterObserver(this.notifierID);
+            this.notifierID = null;
+            this.log("✓ Notifier observer unregistered.", 'debug');
+        }
+        if (this.originalUpdateIcons) {
+            // Only put the original back if nobody wrapped our hook since,
+            // or their wrapper would be thrown away as well.
+            if (Zotero.Sync.Runner.updateIcons === this.syncStatusHook) {
+                Zotero.Sync.Runner.updateIcons = this.originalUpdateIcons;
+                this.log("✓ Sync status hook removed.", 'debug');
+            } else {
+                this.log("⚠️ Sync status hook was wrapped by someone else, leaving it in place (disabled).", 'warn');
+            }
+            this.originalUpdateIcons = null;
+            this.syncStatusHook = null;
+        }
+        if (this.trayStateTimer) {
+            clearTimeout(this.trayStateTimer);
+            this.trayStateTimer = null;
+        }
+        if (this.recentItemsTimer) {
+            clearTimeout(this.recentItemsTimer);
+            this.recentItemsTimer = null;
+        }
+        if (this.unreadCountTimer) {
+            clearTimeout(this.unreadCountTimer);
+            this.unreadCountTimer = null;
+        }
+        if (this.itemNotificationTimer) {
+            clearTimeout(this.itemNotificationTimer);
+            this.itemNotificationTimer = null;
+        }
+        this.pendingSavedItems = [];
+        this.pendingDownloads = [];
+    },
+
+    onSyncStatus: function (value) {
+        if (value === 'animate') {
+            this.syncState = 'syncing';
+            this.syncError = null;
+        } else if (Array.isArray(value) && value.some(e => !e.errorType || e.errorType === 'error')) {
+            const error = value.find(e => !e.errorType || e.errorType === 'error');
+            const wasFailing = this.syncState === 'error';
+            this.syncState = 'error';
+            this.syncError = String(error.message || error);
+            if (!wasFailing) {
+                this.notify({
+                    category: 'syncErrors',
+                    title: 'Zotero sync failed',
+                    text: this.syncError,
+                    kind: 'error',
+                    action: 'show',
+                });
+            }
+        } else {
+            this.syncState = 'idle';
+            this.syncError = null;
+        }
+        this.updateTrayState();
+    },
+
+    // Marking a feed read fires a feedItem event per item, and recounting
+    // every feed each time would add up.
+    scheduleUnreadCountRefresh: function () {
+        if (this.unreadCountTimer) clearTimeout(this.unreadCountTimer);
+        this.unreadCountTimer = setTimeout(() => {
+            this.unreadCountTimer = null;
+            this.refreshUnreadCount();
+        }, 1000);
+    },
+
+    refreshUnreadCount: async function () {
+        try {
+            let unread = 0;
+            for (const feed of Zotero.Feeds.getAll()) {
+                if (typeof feed.updateUnreadCount === 'function') {
+                    await feed.updateUnreadCount();
+                }
+                unread += feed.unreadCount || 0;
+            }
+            if (unread !== this.unreadFeedItems) {
+                this.unreadFeedItems = unread;
+                this.updateTrayState();
+            }
+        } catch (e) {
+            this.log(`✗ Error counting unread feed items: ${e}`, 'error');
+        }
+    },
+
+    buildTrayState: function () {
+        const parts = ['Zotero'];
+        if (this.syncState === 'syncing') {
+            parts.push('Syncing…');
+        } else if (this.syncState === 'error') {
+            parts.push(`Sync failed: ${this.syncError}`);
+        }
+        if (this.unreadFeedItems > 0) {
+            parts.push(`${this.unreadFeedItems} unread`);
+        }
+        return {
+            hidden: this.isWindowHidden,
+            sync: this.syncState,
+            unread: this.unreadFeedItems,
+            tooltip: parts.join(' — '),
+        };
+    },
+
+    // Coalesces bursts of changes and only pushes what changed.
+    updateTrayState: function ({ immediate = false } = {}) {
+        if (this.trayStateTimer) {
+            clearTimeout(this.trayStateTimer);
+            this.trayStateTimer = null;
+        }
+        if (this.isShuttingDown) return;
+        const push = () => {
+            this.trayStateTimer = null;
+            const state = JSON.stringify(this.buildTrayState());
+            if (state !== this.lastTrayState && this.pushToHelper(`STATE ${state}`)) {
+                this.lastTrayState = state;
+            }
+            if (!this.helperSupports('menu')) return;
+            const menu = JSON.stringify(this.buildTrayMenu());
+            if (menu !== this.lastTrayMenu && this.pushToHelper(`MENU ${menu}`)) {
+                this.lastTrayMenu = menu;
+            }
+        };
+        if (immediate) {
+            push();
+        } else {
+            this.trayStateTimer = setTimeout(push, 250);
+        }
+    },
+
+    // Notifications are only shown while the window is hidden, and only for
+    // the categories the user opted into.
+    isNotificationEnabled: function (category) {
+        return !!Zotero.Prefs.get(`extensions.zotero-in-tray.notifications.${category}`, true);
+    },
+
+    notify: function ({ category, title, text, kind = 'info', action = 'show' }) {
+        if (!this.isWindowHidden || !this.isNotificationEnabled(category) || !this.helperSupports('notify')) {
+            return false;
+        }
+        this.log(`🔔 Notification (${category}): ${title}`);
+        return this.pushNotification({ title, text, kind, action });
+    },
+
+    pushNotification: function ({ title, text, kind, action }) {
+        const notification = {
+            title: String(title).substring(0, 63),
+            text: String(text || '').substring(0, 255),
+            kind,
+            action,
+        };
+        return this.pushToHelper(`NOTIFY ${JSON.stringify(notification)}`);
+    },
+
+    onItemEvent: function (event, ids) {
+        if (!this.isWindowHidden || !['add', 'modify', 'refresh'].includes(event)) {
+            return;
+        }
+        const items = Zotero.Items.get(ids).filter(Boolean);
+
+        for (const item of items) {
+            if (Zotero.Retractions.isRetracted(item) && !this.notifiedRetractions.has(item.id)) {
+                this.notifiedRetractions.add(item.id);
+                this.notify({
+                    category: 'retractions',
+                    title: 'Retracted item in your library',
+                    text: item.getDisplayTitle(),
+                    kind: 'warning',
+                    action: `select:${item.libraryID}/${item.key}`,
+                });
+            }
+        }
+
+        // Items arriving through sync are not news; the user added them elsewhere.
+        if (event !== 'add' || this.syncState === 'syncing') {
+            return;
+        }
+        for (const item of items) {
+            if (item.isRegularItem()) {
+                this.pendingSavedItems.push(item);
+            } else if (item.isImportedAttachment()) {
+                this.pendingDownloads.push(item);
+            }
+        }
+        if (this.pendingSavedItems.length || this.pendingDownloads.length) {
+            // A Connector save adds several items in a row; report them together.
+            if (this.itemNotificationTimer) clearTimeout(this.itemNotificationTimer);
+            this.itemNotificationTimer = setTimeout(() => {
+                this.itemNotificationTimer = null;
+                this.flushItemNotifications();
+            }, 1500);
+        }
+    },
+
+    flushItemNotifications: function () {
+        const saved = this.pendingSavedItems.splice(0);
+        const downloads = this.pendingDownloads.splice(0);
+
+        if (saved.length) {
+            const first = saved[0];
+            this.notify({
+                category: 'itemsSaved',
+                title: saved.length === 1 ? 'Item saved to Zotero' : `${saved.length} items saved to Zotero`,
+                text: first.getDisplayTitle(),
+                action: `select:${first.libraryID}/${first.key}`,
+            });
+        }
+        if (downloads.length) {
+            const first = downloads[0];
+            const target = first.parentItem || first;
+            this.notify({
+                category: 'fileDownloads',
+                title: downloads.length === 1 ? 'File downloaded' : `${downloads.length} files downloaded`,
+                text: first.attachmentFilename || first.getDisplayTitle(),
+                action: `select:${target.libraryID}/${target.key}`,
+            });
+        }
+    },
+
+    // Auto-hide only happens once the helper has confirmed its tray icon,
+    // so the window is never hidden without a way to bring it back.
+    scheduleStartupHide: function () {
+        const shouldAutoHide = Zotero.Prefs.get('extensions.zotero-in-tray.startup.autohide', true);
+        if (!shouldAutoHide || this.initialHidePerformed) {
+            this.log('Auto-hide on startup is disabled.', 'debug');
+            return;
+        }
+
+        const timeout = Number(Zotero.Prefs.get('extensions.zotero-in-tray.startup.autohideTimeout', true)) || 15000;
+        this.startupHidePending = true;
+        this.log(`🚀 Auto-hide requested. Waiting up to ${timeout / 1000}s for the tray icon...`);
+
+        if (this.startupHideDeadline) clearTimeout(this.startupHideDeadline);
+        this.startupHideDeadline = setTimeout(() => {
+            this.startupHideDeadline = null;
+            this.onStartupHideDeadline(timeout);
+        }, timeout);
+    },
+
+    onHelperReady: function (detail) {
+        this.log(`✓ Helper reports tray icon ready${detail ? ` (${detail})` : ''}.`);
+        this.trayReady = true;
+        this.relaunchAttempt = 0; // A working helper resets the backoff
+
+        if (this.startupHidePending && !this.hidePollingInterval) {
+            this.log('🚀 Auto-hide logic STARTED. Polling for window...', 'debug');
+            this.hidePollingInterval = setInterval(() => {
+                this.tryHideWindowOnStartup();
+            }, 500); // Increased to 500ms to be nicer to CPU
+            this.tryHideWindowOnStartup();
+        }
+    },
+
+    onStartupHideDeadline: function (timeout) {
+        if (!this.startupHidePending || this.isShuttingDown) return;
+
+        this.startupHidePending = false;
+        if (this.hidePollingInterval) {
+            clearInterval(this.hidePollingInterval);
+            this.hidePollingInterval = null;
+        }
+
+        const reason = this.trayReady
+            ? `the Zotero window could not be found within ${timeout / 1000} seconds`
+            : `the tray icon did not start within ${timeout / 1000} seconds`;
+        this.log(`✗ Auto-hide cancelled: ${reason}.`, 'error');
+
+        if (this.isWindowHidden) {
+            this.showMainWindow({ forceRestore: false });
+        }
+        this.notifyUser(
+            'Zotero was not hidden',
+            `Auto-hide on startup was skipped because ${reason}. The window stays visible so you are not locked out.`
+        );
+    },
+
+    notifyUser: function (title, message) {
+        try {
+            const progressWindow = new Zotero.ProgressWindow({ closeOnClick: true });
+            progressWindow.changeHeadline(title);
+            progressWindow.addDescription(message);
+            progressWindow.show();
+            progressWindow.startCloseTimer(10000);
+        } catch (e) {
+            this.log(`⚠️ Could not show notification "${title}": ${e}`, 'warn');
+        }
     },
 
     tryHideWindowOnStartup: function () {
-        if (this.initialHidePerformed || this.isShuttingDown) {
+        if (this.initialHidePerformed || this.isShuttingDown || !this.startupHidePending) {
             if (this.hidePollingInterval) {
                 clearInterval(this.hidePollingInterval);
                 this.hidePollingInterval = null;
@@ -796,16 +3603,21 @@ var ZoteroInTray = {
         // Only proceed if we have a valid main window object AND can get its handle
         // This prevents accidentally hiding Firefox or other Mozilla windows
         if (this.mainWindow && this.getMainWindowHandle()) {
-            this.log('🚀 Zotero window handle is available. Hiding window now.');
+            this.log('🚀 Zotero window handle is available. Hiding window now.', 'debug');
             this.hideMainWindow();
 
             this.initialHidePerformed = true;
+            this.startupHidePending = false;
+            if (this.startupHideDeadline) {
+                clearTimeout(this.startupHideDeadline);
+                this.startupHideDeadline = null;
+            }
             clearInterval(this.hidePollingInterval);
             this.hidePollingInterval = null;
             this.log('✓ Initial auto-hide complete. Polling stopped.');
         } else {
             // SILENCED LOGGING to prevent UI Freeze/Disk I/O spam
-            // this.log('⏳ Waiting for Zotero main window to be ready...');
+            // this.log('⏳ Waiting for Zotero main window to be ready...', 'debug');
         }
     }
 };
@@ -820,36 +3632,8 @@ function shutdown() {
     ZoteroInTray.cleanup();
 }
 function onMainWindowLoad({ window }) {
-    ZoteroInTray.log("🔥 Main window loaded: " + window.location.href);
-    ZoteroInTray.mainWindow = window;
-    ZoteroInTray.lockWindow(window);
-
-    // Try to get window handle immediately
-    if (!ZoteroInTray.getMainWindowHandle()) {
-        ZoteroInTray.log("⏳ Initial handle acquisition failed, will retry...");
-        // Retry after a short delay to ensure window is fully ready
-        setTimeout(() => {
-            if (!ZoteroInTray.getMainWindowHandle()) {
-                ZoteroInTray.log("⚠️ Second attempt to get window handle failed");
-                // Try one more time after document is fully loaded
-                if (window.document.readyState !== 'complete') {
-                    window.addEventListener('load', () => {
-                        setTimeout(() => {
-                            ZoteroInTray.getMainWindowHandle();
-                        }, 100);
-                    }, { once: true });
-                }
-            }
-        }, 500);
-    }
+    ZoteroInTray.onMainWindowLoad(window);
 }
 function onMainWindowUnload({ window }) {
-    ZoteroInTray.unlockWindow(window);
-    // Explicitly kill helper on window close to prevent Zombie Icon
-    ZoteroInTray.cleanupHelper();
-
-    if (ZoteroInTray.mainWindow === window) {
-        ZoteroInTray.mainWindow = null;
-        ZoteroInTray.mainWindowHandle = null;
-    }
-} 
\ No newline at end of file
+    ZoteroInTray.onMainWindowUnload(window);
+}
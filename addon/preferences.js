@@ -0,0 +1,458 @@
+// Script for the Minimize to Tray preferences pane (preferences.xhtml).
+// It talks to the running plugin through Zotero.ZoteroInTray.
+
+var ZoteroInTrayPrefs = {
+    settingsObserver: null,
+    diagnosticsTimer: null,
+    diagnosticsInterval: 1000, // ms
+    hotkeyPref: 'extensions.zotero-in-tray.hotkey.bindings',
+    invalidSpecMessage: 'Fix the hotkeys in the text field below to use the recorder again.',
+
+    // KeyboardEvent.code -> key name in the hotkey spec. Letters, digits,
+    // F1-F24 and Numpad0-9 are handled in getRecordedKey.
+    recorderKeys: {
+        Space: 'Space', Tab: 'Tab', Enter: 'Enter', Backspace: 'Backspace', Delete: 'Delete', Insert: 'Insert',
+        Home: 'Home', End: 'End', PageUp: 'PgUp', PageDown: 'PgDn',
+        ArrowUp: 'Up', ArrowDown: 'Down', ArrowLeft: 'Left', ArrowRight: 'Right',
+        PrintScreen: 'PrintScreen', Pause: 'Pause', ScrollLock: 'ScrollLock',
+        NumpadAdd: 'NumpadAdd', NumpadSubtract: 'NumpadSub', NumpadMultiply: 'NumpadMult',
+        NumpadDivide: 'NumpadDiv', NumpadDecimal: 'NumpadDot', NumpadEnter: 'NumpadEnter',
+        Backquote: '`', Minus: '-', Equal: '=', BracketLeft: '[', BracketRight: ']', Backslash: '\\',
+        Semicolon: ';', Quote: "'", Comma: ',', Period: '.', Slash: '/',
+    },
+
+    // Shortcuts the operating system or nearly every application relies on.
+    // They can still be used, with a warning.
+    reservedShortcuts: {
+        'Alt+Tab': 'switching windows', 'Alt+F4': 'closing windows', 'Alt+Escape': 'switching windows',
+        'Ctrl+Escape': 'the Start menu', 'Ctrl+Shift+Escape': 'the Task Manager', 'Ctrl+Alt+Delete': 'the security screen',
+        'Win+D': 'showing the desktop', 'Win+E': 'File Explorer', 'Win+L': 'locking the computer', 'Win+R': 'the Run dialog',
+        'Win+Tab': 'Task View', 'Win+V': 'the clipboard history', 'Win+I': 'Settings', 'Win+X': 'the Quick Link menu',
+        'Win+A': 'Quick Settings', 'Win+S': 'Search', 'Win+Shift+S': 'taking screenshots', 'Win+.': 'the emoji panel',
+        'Win+Up': 'maximizing windows', 'Win+Down': 'minimizing windows', 'Win+Left': 'snapping windows', 'Win+Right': 'snapping windows',
+        'Ctrl+A': 'Select All', 'Ctrl+C': 'Copy', 'Ctrl+V': 'Paste', 'Ctrl+X': 'Cut', 'Ctrl+Z': 'Undo', 'Ctrl+Y': 'Redo',
+        'Ctrl+S': 'Save', 'Ctrl+F': 'Find', 'Ctrl+P': 'Print', 'Ctrl+N': 'New', 'Ctrl+O': 'Open', 'Ctrl+W': 'closing tabs',
+        'Ctrl+T': 'new tabs', 'Ctrl+Tab': 'switching tabs', 'Ctrl+Alt+T': 'opening a terminal on Linux',
+    },
+
+    init: function () {
+        this.updateHelperStatus();
+        this.updateSettingsStatus();
+        this.updateHotkeyStatus();
+        this.updateActiveEndpoint();
+        this.initHotkeyRecorders();
+        this.updateDiagnostics();
+
+        const plugin = this.getPlugin();
+        if (plugin && !this.settingsObserver) {
+            this.settingsObserver = {
+                observe: () => {
+                    this.updateSettingsStatus();
+                    this.updateHelperStatus();
+                    this.updateHotkeyStatus();
+                    this.updateHotkeyRecorders();
+                    this.updateActiveEndpoint();
+                }
+            };
+            Services.obs.addObserver(this.settingsObserver, plugin.settingsStatusTopic);
+            this.diagnosticsTimer = setInterval(() => this.updateDiagnostics(), this.diagnosticsInterval);
+            window.addEventListener('unload', () => this.destroy(), { once: true });
+        }
+    },
+
+    destroy: function () {
+        const plugin = this.getPlugin();
+        if (this.settingsObserver && plugin) {
+            Services.obs.removeObserver(this.settingsObserver, plugin.settingsStatusTopic);
+        }
+        this.settingsObserver = null;
+        if (this.diagnosticsTimer) {
+            clearInterval(this.diagnosticsTimer);
+            this.diagnosticsTimer = null;
+        }
+    },
+
+    getPlugin: function () {
+        return Zotero.ZoteroInTray || null;
+    },
+
+    updateHelperStatus: function () {
+        const status = document.getElementById('helper-status');
+        if (!status) return;
+
+        const plugin = this.getPlugin();
+        if (!plugin) {
+            status.textContent = 'The plugin is not running.';
+        } else if (plugin.helperDegraded) {
+            status.textContent = plugin.helperProblem
+                ? `The tray helper is not compatible with this plugin version (${plugin.helperProblem}).`
+                : 'The tray helper kept stopping and is no longer restarted automatically.';
+        } else if (plugin.trayReady) {
+            const info = plugin.helperInfo;
+            status.textContent = info && info.build !== 'release'
+                ? `The tray icon is running (user-built helper ${info.version}).`
+                : 'The tray icon is running.';
+        } else if (plugin.relaunchTimer) {
+            status.textContent = 'The tray helper stopped and will be restarted shortly.';
+        } else {
+            status.textContent = 'The tray helper is starting.';
+        }
+    },
+
+    updateSettingsStatus: function () {
+        const status = document.getElementById('settings-status');
+        if (!status) return;
+
+        const plugin = this.getPlugin();
+        const { state, message } = plugin ? plugin.settingsStatus : { state: 'error', message: 'The plugin is not running.' };
+        const texts = {
+            active: 'The current settings are active.',
+            pending: 'Applying changes...',
+        };
+        status.textContent = message || texts[state] || '';
+        status.style.color = (state === 'invalid' || state === 'error') ? '#d9534f' : '';
+    },
+
+    updateActiveEndpoint: function () {
+        const field = document.getElementById('network-active-endpoint');
+        if (!field) return;
+        const plugin = this.getPlugin();
+        field.value = plugin ? plugin.activeEndpoint : '';
+    },
+
+    // One line per group: active, taken by another application, key the
+    // helper can't register, not supported.
+    updateHotkeyStatus: function () {
+        const status = document.getElementById('hotkey-status');
+        if (!status) return;
+        status.replaceChildren();
+
+        const plugin = this.getPlugin();
+        const hotkeys = plugin && plugin.hotkeyStatus;
+        if (!hotkeys) return;
+
+        const addLine = (text, color) => {
+            const line = document.createElementNS('http://www.w3.org/1999/xhtml', 'div');
+            line.textContent = text;
+            if (color) line.style.color = color;
+            status.append(line);
+        };
+        if (hotkeys.registered.length) {
+            addLine(`Active: ${hotkeys.registered.join(', ')}`);
+        }
+        if (hotkeys.taken.length) {
+            addLine(`Not available, already used by another application: ${hotkeys.taken.join(', ')}. Choose a different combination.`, '#d9534f');
+        }
+        if (hotkeys.invalid.length) {
+            addLine(`Not available, the tray helper does not support the key: ${hotkeys.invalid.join(', ')}. Choose a different combination.`, '#d9534f');
+        }
+        if (hotkeys.unsupported.length) {
+            const info = plugin.helperInfo;
+            addLine(info && info.hotkeys
+                ? `Not registered, the tray helper supports at most ${info.hotkeys} hotkeys: ${hotkeys.unsupported.join(', ')}`
+                : `Global hotkeys are not supported on this system: ${hotkeys.unsupported.join(', ')}`, '#d9534f');
+        }
+    },
+
+    initHotkeyRecorders: function () {
+        for (const input of document.querySelectorAll('#hotkey-recorders input[data-action]')) {
+            input.addEventListener('keydown', event => this.onRecorderKeyDown(event));
+            input.addEventListener('keyup', event => this.onRecorderKeyUp(event));
+            input.addEventListener('focus', () => { input.placeholder = 'Press a shortcut...'; });
+            input.addEventListener('blur', () => {
+                input.placeholder = 'Not set';
+                this.updateHotkeyRecorders();
+            });
+        }
+        this.updateHotkeyRecorders();
+    },
+
+    // The current bindings, or null while the text field holds an invalid spec.
+    getHotkeyBindings: function () {
+        const plugin = this.getPlugin();
+        if (!plugin) return null;
+        try {
+            return plugin.parseHotkeySpec(Zotero.Prefs.get(this.hotkeyPref, true));
+        } catch (e) {
+            return null;
+        }
+    },
+
+    updateHotkeyRecorders: function () {
+        const plugin = this.getPlugin();
+        const bindings = this.getHotkeyBindings();
+        for (const input of document.querySelectorAll('#hotkey-recorders input[data-action]')) {
+            input.disabled = !bindings;
+            if (input === document.activeElement) continue; // Don't undo what is being recorded
+            input.value = (bindings || [])
+                .filter(binding => binding.action === input.dataset.action)
+                .map(binding => plugin.formatHotkey(binding))
+                .join(', ');
+        }
+        if (!bindings && plugin) {
+            this.showRecorderMessage(this.invalidSpecMessage, 'error');
+        } else if (bindings) {
+            // Drop the error above once the spec is fixed, but keep any other message
+            const message = document.getElementById('hotkey-recorder-message');
+            if (message && message.textContent === this.invalidSpecMessage) this.showRecorderMessage('', null);
+        }
+    },
+
+    onRecorderKeyDown: function (event) {
+        const input = event.target;
+        const modifiers = {
+            ctrl: event.ctrlKey,
+            alt: event.altKey,
+            shift: event.shiftKey,
+            win: event.metaKey || event.getModifierState('OS'),
+        };
+        const anyModifier = modifiers.ctrl || modifiers.alt || modifiers.win;
+
+        // Keep Tab working for keyboard navigation, and Esc/Backspace as described.
+        if (event.key === 'Tab' && !anyModifier) return;
+        event.preventDefault();
+        event.stopPropagation();
+        if (!anyModifier && !modifiers.shift) {
+            if (event.key === 'Escape') {
+                input.blur();
+                return;
+            }
+            if (event.key === 'Backspace' || event.key === 'Delete') {
+                this.clearHotkey(input.dataset.action);
+                return;
+            }
+        }
+
+        const plugin = this.getPlugin();
+        const key = this.getRecordedKey(event.code);
+        if (!key) {
+            // Only modifiers so far; show them while the user keeps going
+            input.value = plugin.formatHotkey({ ...modifiers, key: '' });
+            return;
+        }
+        this.recordHotkey(input.dataset.action, { ...modifiers, key, action: input.dataset.action });
+        input.blur();
+    },
+
+    onRecorderKeyUp: function (event) {
+        const input = event.target;
+        if (input === document.activeElement && !event.ctrlKey && !event.altKey && !event.shiftKey && !event.metaKey) {
+            input.value = '';
+        }
+    },
+
+    getRecordedKey: function (code) {
+        const match = /^(?:Key([A-Z])|Digit(\d)|(F\d{1,2})|Numpad(\d))$/.exec(code);
+        if (match) {
+            if (match[1] || match[2]) return match[1] || match[2];
+            if (match[3]) return match[3];
+            return `Numpad${match[4]}`;
+        }
+        return this.recorderKeys[code] || null;
+    },
+
+    recordHotkey: function (action, binding) {
+        const plugin = this.getPlugin();
+        const bindings = this.getHotkeyBindings();
+        if (!plugin || !bindings) return;
+
+        const combo = plugin.formatHotkey(binding);
+        try {
+            plugin.parseHotkeySpec(combo);
+        } catch (e) {
+            this.showRecorderMessage(e.message, 'error');
+            return;
+        }
+        const zoteroCommand = this.getZoteroShortcuts().get(combo);
+        if (zoteroCommand) {
+            this.showRecorderMessage(`${combo} is already a Zotero shortcut (${zoteroCommand}). Choose a different combination.`, 'error');
+            return;
+        }
+
+        // A combination moved from another action is taken away from it.
+        const others = bindings.filter(other => other.action !== action && plugin.formatHotkey(other) !== combo);
+        Zotero.Prefs.set(this.hotkeyPref, plugin.formatHotkeySpec([...others, binding]), true);
+
+        const reserved = this.reservedShortcuts[combo];
+        if (reserved) {
+            this.showRecorderMessage(`${combo} is normally used for ${reserved}. It will no longer do that while Zotero is running.`, 'warning');
+        } else {
+            this.showRecorderMessage('', null);
+        }
+        this.updateHotkeyRecorders();
+    },
+
+    clearHotkey: function (action) {
+        const plugin = this.getPlugin();
+        const bindings = this.getHotkeyBindings();
+        if (!plugin || !bindings) return;
+        Zotero.Prefs.set(this.hotkeyPref, plugin.formatHotkeySpec(bindings.filter(binding => binding.action !== action)), true);
+        this.showRecorderMessage('', null);
+        this.updateHotkeyRecorders();
+    },
+
+    resetHotkeys: function () {
+        Zotero.Prefs.clear(this.hotkeyPref, true);
+        this.showRecorderMessage('', null);
+        this.updateHotkeyRecorders();
+    },
+
+    showRecorderMessage: function (text, kind) {
+        const message = document.getElementById('hotkey-recorder-message');
+        if (!message) return;
+        message.textContent = text;
+        message.style.color = kind === 'error' ? '#d9534f' : kind === 'warning' ? '#b8860b' : '';
+    },
+
+    // Zotero's own keyboard shortcuts as combo -> command. A global hotkey
+    // would take them over inside Zotero too.
+    getZoteroShortcuts: function () {
+        const plugin = this.getPlugin();
+        const shortcuts = new Map();
+
+        // Customizable shortcuts (Settings > Advanced > Shortcuts), Ctrl+Shift+<key>
+        try {
+            const branch = Services.prefs.getBranch('extensions.zotero.keys.');
+            for (const name of branch.getChildList('')) {
+                const key = plugin.normalizeHotkeyKey(String(branch.getStringPref(name, '')));
+                if (key) shortcuts.set(plugin.formatHotkey({ ctrl: true, shift: true, key }), name);
+            }
+        } catch (e) {
+            plugin.log(`Could not read Zotero shortcuts: ${e}`, 'warn');
+        }
+
+        // Menu and window shortcuts of the main window
+        const win = Zotero.getMainWindow();
+        for (const element of win ? win.document.querySelectorAll('key') : []) {
+            const name = element.getAttribute('key') || (element.getAttribute('keycode') || '').replace(/^VK_/, '');
+            const key = name && plugin.normalizeHotkeyKey(name);
+            if (!key) continue;
+            const modifiers = (element.getAttribute('modifiers') || '').split(/[\s,]+/);
+            const binding = {
+                ctrl: modifiers.includes('accel') || modifiers.includes('control'),
+                alt: modifiers.includes('alt'),
+                shift: modifiers.includes('shift'),
+                win: modifiers.includes('meta') || modifiers.includes('os'),
+                key,
+            };
+            const combo = plugin.formatHotkey(binding);
+            if (!shortcuts.has(combo)) shortcuts.set(combo, element.getAttribute('command') || element.id || 'menu shortcut');
+        }
+        return shortcuts;
+    },
+
+    updateDiagnostics: function () {
+        const table = document.getElementById('diagnostics-table');
+        if (!table) return;
+        table.replaceChildren();
+
+        const plugin = this.getPlugin();
+        const addRow = (name, value) => {
+            const row = document.createElementNS('http://www.w3.org/1999/xhtml', 'tr');
+            for (const text of [name, value]) {
+                const cell = document.createElementNS('http://www.w3.org/1999/xhtml', 'td');
+                cell.textContent = text;
+                row.append(cell);
+            }
+            table.append(row);
+        };
+        if (!plugin) {
+            addRow('Plugin', 'Not running');
+            return;
+        }
+
+        const d = plugin.getDiagnostics();
+        addRow('Plugin', `${d.version} on Zotero ${d.zotero}, ${d.os}`);
+        addRow('Server', !d.listening
+            ? 'Not listening'
+            : d.transport === 'unix' ? `Listening on socket file ${d.socketPath}` : `Listening on port ${d.port}`);
+        addRow('Tray helper', d.helperDegraded
+            ? 'Stopped, no longer restarted automatically'
+            : d.helperRunning
+                ? `Running${d.helperPid ? `, PID ${d.helperPid}` : ''}, for ${this.formatDuration(d.helperUptime)}`
+                : 'Not running');
+        if (d.helper) {
+            addRow('Helper version', `${d.helper.version} (${d.helper.build} build), features: ${d.helper.features.join(', ') || 'none'}`);
+        }
+        addRow('Last contact', d.helperLastSeen === null
+            ? 'Never'
+            : `${this.formatDuration(d.helperLastSeen)} ago${d.helperResponsive ? '' : ' (not responding)'}`);
+        addRow('Helper restarts', String(d.helperRestarts));
+        addRow('Tray icon', d.trayReady ? 'Ready' : 'Not ready');
+        addRow('Window handle', d.windowHandle
+            ? `Acquired via ${d.windowHandleMethod || 'unknown method'}`
+            : 'Not acquired');
+    },
+
+    formatDuration: function (ms) {
+        const seconds = Math.floor((ms || 0) / 1000);
+        if (seconds < 60) return `${seconds} s`;
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes} min ${seconds % 60} s`;
+        return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+    },
+
+    testConnection: async function () {
+        const plugin = this.getPlugin();
+        if (!plugin) return;
+        const button = document.getElementById('diagnostics-test');
+        button.disabled = true;
+        this.showDiagnosticsMessage('Testing the connection to the tray helper...');
+        try {
+            const result = await plugin.testHelperConnection();
+            this.showDiagnosticsMessage(result.ok
+                ? `The tray helper answered in ${result.ms} ms.`
+                : result.reason === 'no-helper'
+                    ? 'The tray helper is not connected to the plugin.'
+                    : result.reason === 'timeout'
+                        ? `The tray helper did not answer within ${plugin.connectionTestTimeout / 1000} seconds.`
+                        : `The tray helper gave an unexpected answer (${result.reason}).`, !result.ok);
+        } finally {
+            button.disabled = false;
+        }
+    },
+
+    copyDiagnostics: function () {
+        const plugin = this.getPlugin();
+        if (!plugin) return;
+        const report = [
+            'Minimize to Tray diagnostic report',
+            `Created: ${new Date().toISOString()}`,
+            '',
+            JSON.stringify(plugin.getDiagnostics(), null, 2),
+        ].join('\n');
+        Zotero.Utilities.Internal.copyTextToClipboard(report);
+        this.showDiagnosticsMessage('The diagnostic report was copied to the clipboard.');
+    },
+
+    showLogFile: function () {
+        const plugin = this.getPlugin();
+        if (!plugin) return;
+        const file = plugin.getLogFile();
+        if (!file.exists()) {
+            this.showDiagnosticsMessage('There is no log file yet. Turn on "Write a log file" first.', true);
+            return;
+        }
+        try {
+            file.reveal();
+        } catch (e) {
+            this.showDiagnosticsMessage(`The log file is at ${file.path}`);
+        }
+    },
+
+    showDiagnosticsMessage: function (text, isError = false) {
+        const message = document.getElementById('diagnostics-message');
+        if (!message) return;
+        message.textContent = text;
+        message.style.color = isError ? '#d9534f' : '';
+    },
+
+    retryHelper: function () {
+        const plugin = this.getPlugin();
+        if (!plugin) return;
+        plugin.retryHelper();
+        this.updateHelperStatus();
+        // Give the helper a moment to bring its tray icon up
+        setTimeout(() => this.updateHelperStatus(), 3000);
+    },
+};
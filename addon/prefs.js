@@ -1,6 +1,16 @@
-pref("extensions.zotero-in-tray.hotkey.ctrl", false);
-pref("extensions.zotero-in-tray.hotkey.alt", true);
-pref("extensions.zotero-in-tray.hotkey.shift", false);
-pref("extensions.zotero-in-tray.hotkey.key", "");
+pref("extensions.zotero-in-tray.hotkey.bindings", "");
 pref('extensions.zotero-in-tray.startup.autohide', false);
-pref('extensions.zotero-in-tray.network.port', 23120); 
\ No newline at end of file
+pref('extensions.zotero-in-tray.network.port', 23120); 
+pref('extensions.zotero-in-tray.network.transport', 'auto');
+pref('extensions.zotero-in-tray.network.portRange', 10);
+pref('extensions.zotero-in-tray.window.geometry', '');
+pref('extensions.zotero-in-tray.startup.autohideTimeout', 15000);
+pref('extensions.zotero-in-tray.notifications.syncErrors', false);
+pref('extensions.zotero-in-tray.notifications.itemsSaved', false);
+pref('extensions.zotero-in-tray.notifications.retractions', false);
+pref('extensions.zotero-in-tray.notifications.fileDownloads', false);
+pref('extensions.zotero-in-tray.behavior.closeToTray', true);
+pref('extensions.zotero-in-tray.behavior.minimizeToTray', true);
+pref('extensions.zotero-in-tray.behavior.showCloseNotice', true);
+pref('extensions.zotero-in-tray.logging.level', 'info');
+pref('extensions.zotero-in-tray.logging.file', false);
\ No newline at end of file
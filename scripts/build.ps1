@@ -1,5 +1,13 @@
 # Minimize Zotero To Tray Final Packaging Script
 # Prepared for the simplified addon directory
+#
+# Usage: .\build.ps1 [-Release] [-Ahk2Exe <path to Ahk2Exe.exe>]
+
+param(
+    # Official releases only: the tray helper is compiled to report itself as a "release" build
+    [switch]$Release,
+    [string]$Ahk2Exe = (Join-Path $env:ProgramFiles "AutoHotkey\Compiler\Ahk2Exe.exe")
+)
 
 # Set encoding to UTF-8
 $OutputEncoding = [Console]::OutputEncoding = [System.Text.Encoding]::UTF8
@@ -41,7 +49,8 @@ $requiredFiles = @(
     "manifest.json",
     "bootstrap.js",
     "prefs.js",
-    "preferences.xhtml"
+    "preferences.xhtml",
+    "preferences.js"
 )
 foreach ($file in $requiredFiles) {
     $filePath = Join-Path $addonPath $file
@@ -51,8 +60,37 @@ foreach ($file in $requiredFiles) {
     }
 }
 
+# Compile tray_helper.exe from tray_helper.ahk. The helper reports a "source"
+# build unless this is an official release (-Release).
+$binPath = Join-Path $addonPath "bin"
+$helperPath = Join-Path $binPath "tray_helper.exe"
+if (Test-Path $Ahk2Exe) {
+    $helperBuild = if ($Release) { "release" } else { "source" }
+    Write-Host "Compiling tray_helper.ahk ($helperBuild build)..." -ForegroundColor Yellow
+
+    $tempAhkPath = Join-Path $env:TEMP "tray_helper.ahk"
+    $script = Get-Content (Join-Path $binPath "tray_helper.ahk") -Raw -Encoding UTF8
+    $script = $script -replace '(?m)^HELPER_BUILD := "source"', "HELPER_BUILD := `"$helperBuild`""
+    [System.IO.File]::WriteAllText($tempAhkPath, $script, (New-Object System.Text.UTF8Encoding $true))
+
+    $iconPath = Join-Path $binPath "zotero_128.ico"
+    $compiler = Start-Process -FilePath $Ahk2Exe -Wait -PassThru `
+        -ArgumentList "/in `"$tempAhkPath`" /out `"$helperPath`" /icon `"$iconPath`""
+    Remove-Item $tempAhkPath -Force
+    if ($compiler.ExitCode -ne 0) {
+        Write-Host "Error: Ahk2Exe failed with exit code $($compiler.ExitCode)." -ForegroundColor Red
+        exit 1
+    }
+    Write-Host "✓ tray_helper.exe compiled." -ForegroundColor Green
+} elseif ($Release) {
+    Write-Host "Error: A release build compiles the tray helper, but Ahk2Exe was not found at '$Ahk2Exe'." -ForegroundColor Red
+    Write-Host "Hint: Install AutoHotkey v1.1 or pass its location with -Ahk2Exe." -ForegroundColor Yellow
+    exit 1
+} else {
+    Write-Host "Ahk2Exe not found, packaging the existing tray_helper.exe as it is." -ForegroundColor Yellow
+}
+
 # Separately check for tray_helper.exe
-$helperPath = Join-Path -Path (Join-Path -Path $addonPath -ChildPath "bin") -ChildPath "tray_helper.exe"
 if (-not (Test-Path $helperPath)) {
     Write-Host "Error: Required file 'tray_helper.exe' not found in 'bin' directory." -ForegroundColor Red
     Write-Host "Path checked: $helperPath" -ForegroundColor Red